@@ -0,0 +1,297 @@
+/**
+ * @file Default upload transport
+ * The ax-* protocol of upload.php: multipart requests with the chunk on ax_file_input and the parameters ax-*
+ * @author Alban Xhaferllari
+ * @version 1.0
+ */
+define(['Transport', 'Constants', 'Utils', 'i18n'], /** @lends AxTransport */ function(Transport, Constants, Utils, _) {
+    'use strict';
+
+    /**
+     * Default response adapter, reads the JSON of upload.php: {status, info, name, more, temp_name, offset, checkSum,
+     * chunkHash}. Out of the 2xx status only a body with the success status is a success
+     * @param {Object} response {status, body, json, xhr, action}
+     * @returns {Object} the result model, see the responseAdapter option
+     */
+    var defaultAdapter = function(response) {
+        var json = response.json;
+        if( !json ) {
+            return {success: false, error: response.status == 200 ? _('Invalid server response') : ''};
+        }
+        var status  = parseInt(json.status);
+        var success = response.status >= 200 && response.status < 300 ? status !== Constants.AX_ERROR :
+            status === Constants.AX_DONE;
+        return {
+            success:    success,
+            error:      success ? '' : json.info,
+            name:       json.name,
+            tempName:   json.temp_name,
+            offset:     parseInt(json.offset) || 0,
+            exists:     json.info == 'yes',
+            info:       json.info,
+            more:       json.more,
+            checkSum:   json.checkSum,
+            retry:      !!(json.chunkHash && json.chunkHash.success === false),
+            resync:     response.status == 409
+        };
+    };
+
+    /**
+     * Transport of the ax-* protocol, the default one.
+     * The first chunk creates the temp file on the server and returns its name, the next chunks are appended to it.
+     * Parallel chunks are saved by the server in parts and assembled on the finalize request.
+     * The responses are read by the responseAdapter option, so the protocol works also with servers answering with
+     * other JSON formats
+     * @param {FileObject} file the file to upload
+     * @constructor
+     * @extends Transport
+     */
+    var AxTransport = function(file) {
+        Transport.call(this, file);
+        this.parallel       = true;
+        this.lastResponse   = null;     //response of the last sequential chunk, the final one on the last chunk
+        this.partsSent      = false;    //true if some chunk has been sent as a part, then finalize is needed
+    };
+
+    AxTransport.prototype = Utils.extend(Object.create(Transport.prototype), {
+        /**
+         * New upload, reset the state of the previous one
+         * @param {Object} cb callbacks
+         */
+        start: function(cb) {
+            this.lastResponse   = null;
+            this.partsSent      = false;
+            cb.done();
+        },
+        /**
+         * Ask the server if it has already a file with the same md5 and size, for the instant upload
+         * @param {Object} cb callbacks, done receives the upload response or null
+         */
+        lookup: function(cb) {
+            var me      = this;
+            var params  = me.file.getParams();
+            params.append('ax-check-hash', 1);
+            params.append('ax-file-md5', me.file.md5);
+            me.post('lookup', params, {
+                done: function(result) {
+                    cb.done( result.exists ? me._finalResponse(result) : null );
+                },
+                error: function() {
+                    cb.done(null);
+                }
+            });
+        },
+        /**
+         * Ask the server if the file exists
+         * @param {Object} cb callbacks, done receives true if the file exists
+         */
+        exists: function(cb) {
+            var params = this.file.getParams();
+            params.append('ax-check-file', 1);
+            this.post('check', params, {
+                done: function(result) {
+                    cb.done(!!result.exists);
+                },
+                error: function() {
+                    cb.done(false);
+                }
+            });
+        },
+        /**
+         * Ask the server the size of the temp file. The parts are consolidated by the server
+         * @param {Object} cb callbacks
+         */
+        getOffset: function(cb) {
+            var params = this.file.getParams();
+            params.append('ax-get-offset', 1);
+
+            this.post('offset', params, {
+                done: function(result) {
+                    cb.done(result.offset || 0);
+                },
+                error: function(code, msg, xhr) {
+                    //the server answers without the temp file, nothing to resume. Other failures do not tell it
+                    if( xhr && xhr.status >= 200 && xhr.status < 300 ) {
+                        cb.done(0);
+                    } else {
+                        cb.error(code, msg, xhr);
+                    }
+                }
+            });
+        },
+        /**
+         * Send a chunk with the ax-* parameters
+         * @param {Blob} chunk the chunk to send
+         * @param {Object} info {start, end, isLast, parallel}
+         * @param {Object} cb callbacks
+         * @returns {{xhr: XMLHttpRequest, abort: Function}}
+         */
+        sendChunk: function(chunk, info, cb) {
+            var me      = this;
+            var file    = me.file;
+
+            //some parameters are mandatory for correct file upload
+            var params = file.getParams();
+            params.append('ax_file_input', chunk);
+            params.append('ax-start-byte', info.start);
+            if( info.hash ) {
+                params.append('ax-chunk-hash', info.hash.value);
+                params.append('ax-chunk-hash-algorithm', info.hash.algorithm);
+            }
+            if( info.parallel ) {
+                params.append('ax-parallel', 1);
+                me.partsSent = true;
+            } else {
+                me._appendHashes(params);
+            }
+
+            return me.post('chunk', params, {
+                progress: cb.progress,
+                error: cb.error,
+                done: function(result) {
+                    // the first uploaded chunk returns also the temporary name on the server
+                    // this name will be used to upload the next chunks
+                    if( !info.parallel ) {
+                        if( info.start == 0 ) {
+                            file.setTempName( result.tempName );
+                        }
+                        me.lastResponse = result;
+                    }
+                    cb.done(result);
+                }
+            });
+        },
+        /**
+         * The last sequential chunk already returns the final response, parts need to be assembled by the server
+         * @param {Object} cb callbacks
+         */
+        finalize: function(cb) {
+            var me = this;
+            if( !me.partsSent ) {
+                cb.done( me._finalResponse(me.lastResponse || {success: true}) );
+                return;
+            }
+
+            var params = me.file.getParams();
+            params.append('ax-finalize', 1);
+            me._appendHashes(params);
+
+            me.post('finalize', params, {
+                error: cb.error,
+                done: function(result) {
+                    me.partsSent = false;
+                    cb.done( me._finalResponse(result) );
+                }
+            });
+        },
+        /**
+         * Post the params to the upload url and read the response with the response adapter. Done receives the
+         * result model, error the adapter error message if any. A result with retry goes to the retry policy
+         * @param {String} action chunk, finalize, offset, check or lookup
+         * @param {FormData} params
+         * @param {Object} cb callbacks
+         * @returns {{xhr: XMLHttpRequest, abort: Function}}
+         */
+        post: function(action, params, cb) {
+            var me = this;
+            return me.request('POST', me.config.url, params, null, {
+                progress: cb.progress,
+                done: function(xhr) {
+                    var result = me.adapt(xhr, action);
+                    if( result.success ) {
+                        cb.done(result);
+                    } else {
+                        cb.error(me._errorCode(result, 'server_error'), result.error || _('Server error') + ' ' + xhr.status, xhr);
+                    }
+                },
+                error: function(code, msg, xhr) {
+                    //network errors and the status codes of the retry policy go to the retry
+                    if( code == 'retry' || code == 'aborted' || !xhr || !xhr.status ) {
+                        cb.error(code, msg, xhr);
+                        return;
+                    }
+                    //other status codes can have a meaningful body
+                    var result = me.adapt(xhr, action);
+                    if( result.success ) {
+                        cb.done(result);
+                    } else {
+                        cb.error(me._errorCode(result, code), result.error || msg, xhr);
+                    }
+                }
+            }, action == 'check' || action == 'lookup' ? 'check' : 'upload');
+        },
+        /**
+         * Map the server response on the result model with the responseAdapter option, or the default adapter
+         * @param {XMLHttpRequest} xhr
+         * @param {String} action chunk, finalize, offset, check or lookup
+         * @returns {Object} result model
+         */
+        adapt: function(xhr, action) {
+            var json = null;
+            try {
+                json = JSON.parse(xhr.responseText);
+            } catch (err) {
+                json = null;
+            }
+            var response = {status: xhr.status, body: xhr.responseText, json: json, xhr: xhr, action: action};
+            var adapter = this.config.responseAdapter;
+            var result = null;
+            if( typeof adapter == 'function' ) {
+                try {
+                    result = adapter.call(this.file.AU, response, this.file);
+                } catch (err) {
+                    result = {success: false, error: err.message};
+                }
+            }
+            result = result || defaultAdapter(response);
+            result.data = json;
+            return result;
+        },
+        /**
+         * Error code of a failed result: retry for the retry policy, resync when the server has another offset of the
+         * upload
+         * @param {Object} result result model
+         * @param {String} code the code otherwise
+         * @returns {String}
+         * @private
+         */
+        _errorCode: function(result, code) {
+            return result.retry ? 'retry' : (result.resync ? 'resync' : code);
+        },
+        /**
+         * Add the hashes of the file for the server check: the md5 on ax-file-md5, the others of the hashAlgorithms
+         * option on ax-file-hash[algorithm]
+         * @param {FormData} params
+         * @private
+         */
+        _appendHashes: function(params) {
+            var hashes = this.file.hashes;
+            params.append('ax-file-md5', this.file.md5);
+            for( var name in hashes ) {
+                if( hashes.hasOwnProperty(name) && name != 'md5' ) {
+                    params.append('ax-file-hash[' + name + ']', hashes[name]);
+                }
+            }
+        },
+        /**
+         * Build the response of a completed upload for the file, from the result model. The original JSON fields are
+         * kept for backward compatibility
+         * @param {Object} result result model
+         * @returns {Object}
+         * @private
+         */
+        _finalResponse: function(result) {
+            var file = this.file;
+            return Utils.extend(Utils.extend({}, result.data || {}), {
+                name:       result.name || file.name,
+                size:       file.size,
+                status:     Constants.AX_DONE,
+                info:       result.info,
+                more:       result.more,
+                checkSum:   result.checkSum || {}
+            });
+        }
+    });
+
+    return AxTransport;
+});
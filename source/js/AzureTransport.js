@@ -0,0 +1,309 @@
+/**
+ * @file Azure Blob upload transport
+ * Direct upload to Azure Blob storage as block blob: Put Block for the chunks, Put Block List for the commit
+ * @author Alban Xhaferllari
+ * @version 1.0
+ */
+define(['Transport', 'Constants', 'Utils', 'i18n'], /** @lends AzureTransport */ function(Transport, Constants, Utils, _) {
+    'use strict';
+
+    var BLOCK_PREFIX = 'block-';    //block ids must have the same length in a blob, the number is zero padded
+    var BLOCK_DIGITS = 6;
+
+    /**
+     * Transport for Azure Blob storage (and the Azurite emulator) with block blobs.
+     * The blob SAS URL, with write permission, is asked to the sign callback of the azure option when the upload starts,
+     * and again when the storage answers 403 to a request, as the SAS can expire during a long upload. The callback
+     * receives {action: 'upload', file, blobName, contentType}. The storage CORS must allow PUT and GET
+     * @param {FileObject} file the file to upload
+     * @constructor
+     * @extends Transport
+     * @example
+     * new RealUploader('#uploader', {
+     *     transport: 'azure',
+     *     azure: {
+     *         blobName: 'uploads/',
+     *         sign: function(request, done) {
+     *             getSas(request.blobName, function(sasUrl) { done(sasUrl); });
+     *         }
+     *     }
+     * });
+     */
+    var AzureTransport = function(file) {
+        Transport.call(this, file);
+        this.options    = file.config.azure;
+        this.parallel   = true;
+        this.blobName   = null;     //name of the blob in the container
+        this.sasUrl     = null;     //blob URL with the SAS token
+        this.blocks     = [];       //uploaded blocks {id, start, end}
+    };
+
+    AzureTransport.prototype = Utils.extend(Object.create(Transport.prototype), {
+        /**
+         * Get the SAS URL of the blob, the blob name is kept as temp name of the file
+         * @param {Object} cb callbacks
+         */
+        start: function(cb) {
+            var me = this;
+            me.blocks = [];
+            me.sasUrl = null;
+            me._getSasUrl({
+                error: cb.error,
+                done: function() {
+                    me.file.setTempName(me._getBlobName());
+                    cb.done();
+                }
+            });
+        },
+        /**
+         * Get Block List of the uncommitted blocks, the offset is the size of the contiguous blocks from the first one
+         * @param {Object} cb callbacks
+         */
+        getOffset: function(cb) {
+            var me = this;
+            me._getSasUrl({
+                error: cb.error,
+                done: function() {
+                    me._blobRequest('GET', 'comp=blocklist&blocklisttype=uncommitted', null, null, {
+                        error: function(code, msg, xhr) {
+                            //BlobNotFound, no block left. Other failures do not tell it
+                            me.isGone(xhr) ? cb.done(0) : cb.error(code, msg, xhr);
+                        },
+                        done: function(xhr) {
+                            var nodes   = me.parseXML(xhr).getElementsByTagName('Block');
+                            var list    = [];
+                            var offset  = 0;
+                            for( var i = 0; i < nodes.length; i++ ) {
+                                list.push({
+                                    id:     nodes[i].getElementsByTagName('Name')[0].textContent,
+                                    size:   parseInt(nodes[i].getElementsByTagName('Size')[0].textContent)
+                                });
+                            }
+                            //zero padded ids, the text order is the block order
+                            list.sort(function(a, b) {
+                                return window.atob(a.id) < window.atob(b.id) ? -1 : 1;
+                            });
+
+                            //only the blocks without holes can be kept, the others are uploaded again
+                            me.blocks = [];
+                            for( var j = 0; j < list.length && list[j].id === me._blockId(j + 1); j++ ) {
+                                me.blocks.push({id: list[j].id, start: offset, end: offset + list[j].size});
+                                offset += list[j].size;
+                            }
+                            cb.done(offset);
+                        }
+                    });
+                }
+            });
+        },
+        /**
+         * Put Block of the chunk. Block ids follow the start byte of the chunks
+         * @param {Blob} chunk the chunk to send
+         * @param {Object} info {start, end, isLast, parallel}
+         * @param {Object} cb callbacks
+         * @returns {{abort: Function}}
+         */
+        sendChunk: function(chunk, info, cb) {
+            var me      = this;
+            var block   = me._getBlock(info.start, info.end);
+
+            return me._blobRequest('PUT', 'comp=block&blockid=' + encodeURIComponent(block.id), chunk, null, {
+                progress: cb.progress,
+                error: cb.error,
+                done: function() {
+                    cb.done({blockId: block.id});
+                }
+            });
+        },
+        /**
+         * Put Block List, commits the blocks in order and creates the blob
+         * @param {Object} cb callbacks
+         */
+        finalize: function(cb) {
+            var me      = this;
+            var file    = me.file;
+            var blocks  = me.contiguous(me.blocks);
+            var xml     = ['<?xml version="1.0" encoding="utf-8"?><BlockList>'];
+            if( !blocks ) {
+                cb.error('error', _('Azure: missing blocks of the file'), null);
+                return;
+            }
+            for( var i = 0; i < blocks.length; i++ ) {
+                xml.push('<Latest>' + blocks[i].id + '</Latest>');
+            }
+            xml.push('</BlockList>');
+
+            var headers = {
+                'Content-Type':             'application/xml',
+                'x-ms-blob-content-type':   file.file.type || 'application/octet-stream'
+            };
+            me._blobRequest('PUT', 'comp=blocklist', xml.join(''), headers, {
+                error: cb.error,
+                done: function() {
+                    var url = me.sasUrl.split('?')[0];
+                    cb.done({
+                        name:   file.name,
+                        size:   file.size,
+                        status: Constants.AX_DONE,
+                        info:   url,
+                        url:    url,
+                        blobName: me.blobName
+                    });
+                }
+            });
+        },
+        /**
+         * Stop the running requests. The blocks after the confirmed byte of the file are dropped, on resume they are
+         * sent again from there, also with another chunk size
+         */
+        abort: function() {
+            var confirmed = this.file.currentByte;
+            Transport.prototype.abort.call(this);
+            this.blocks = this.blocks.filter(function(block) {
+                return block.start < confirmed;
+            });
+        },
+        /**
+         * Get the blob name from the azure option, the file name by default
+         * @returns {String}
+         * @private
+         */
+        _getBlobName: function() {
+            if( this.blobName === null ) {
+                var name = this.options.blobName;
+                this.blobName = typeof name == 'function' ? name.call(this.file.AU, this.file) : (name || '') + this.file.name;
+            }
+            return this.blobName;
+        },
+        /**
+         * Ask the SAS URL to the sign callback, if there is no valid one
+         * @param {Object} cb callbacks
+         * @private
+         */
+        _getSasUrl: function(cb) {
+            var me = this;
+            if( me.sasUrl ) {
+                cb.done();
+                return;
+            }
+            me.sign({
+                action:         'upload',
+                blobName:       me._getBlobName(),
+                contentType:    me.file.file.type || 'application/octet-stream'
+            }, {
+                error: cb.error,
+                done: function(signed) {
+                    me.sasUrl = signed.url;
+                    cb.done();
+                }
+            });
+        },
+        /**
+         * Send a request on the blob with the SAS URL. On 403 the SAS can be expired: a new one is asked to the sign
+         * callback and the request is sent once more
+         * @param {String} method HTTP method
+         * @param {String} query operation parameters
+         * @param {*} body data to send
+         * @param {Object|null} headers headers to set name => value
+         * @param {Object} cb callbacks
+         * @returns {{abort: Function}}
+         * @private
+         */
+        _blobRequest: function(method, query, body, headers, cb) {
+            var me      = this;
+            var handle  = {
+                current: null,
+                aborted: false,
+                abort: function() {
+                    if( this.current ) {
+                        this.current.abort();
+                    } else if( !this.aborted ) {
+                        //waiting for the new SAS URL
+                        this.aborted = true;
+                        cb.error('aborted', _('Upload aborted'), null);
+                    }
+                }
+            };
+            var unregister = function() {
+                var index = me.requests.indexOf(handle);
+                if( index >= 0 ) {
+                    me.requests.splice(index, 1);
+                }
+            };
+
+            var send = function(refresh) {
+                var sasUrl = me.sasUrl;
+                handle.current = me.request(method, me._url(query), body, headers, {
+                    progress: cb.progress,
+                    done: cb.done,
+                    error: function(code, msg, xhr) {
+                        if( !refresh || !xhr || xhr.status != 403 || handle.aborted ) {
+                            cb.error(code, msg, xhr);
+                            return;
+                        }
+                        //a parallel request can have refreshed it already
+                        if( me.sasUrl === sasUrl ) {
+                            me.sasUrl = null;
+                        }
+                        handle.current = null;
+                        me.requests.push(handle);
+                        me._getSasUrl({
+                            error: function(code, msg) {
+                                unregister();
+                                if( !handle.aborted ) cb.error(code, msg, null);
+                            },
+                            done: function() {
+                                unregister();
+                                if( !handle.aborted ) send(false);
+                            }
+                        });
+                    }
+                });
+            };
+            send(true);
+            return handle;
+        },
+        /**
+         * The SAS URL with the operation parameters
+         * @param {String} query operation parameters
+         * @returns {String}
+         * @private
+         */
+        _url: function(query) {
+            return this.sasUrl + (this.sasUrl.indexOf('?') >= 0 ? '&' : '?') + query;
+        },
+        /**
+         * Base64 block id of the block number
+         * @param {Number} number block number starting from 1
+         * @returns {String}
+         * @private
+         */
+        _blockId: function(number) {
+            var digits = String(number);
+            while( digits.length < BLOCK_DIGITS ) {
+                digits = '0' + digits;
+            }
+            return window.btoa(BLOCK_PREFIX + digits);
+        },
+        /**
+         * Get the block of a chunk, a retry of the same chunk keeps the block id
+         * @param {Number} start start byte
+         * @param {Number} end end byte
+         * @returns {Object}
+         * @private
+         */
+        _getBlock: function(start, end) {
+            for( var i = 0; i < this.blocks.length; i++ ) {
+                if( this.blocks[i].start === start ) {
+                    this.blocks[i].end = end;
+                    return this.blocks[i];
+                }
+            }
+            var block = {id: this._blockId(this.blocks.length + 1), start: start, end: end};
+            this.blocks.push(block);
+            return block;
+        }
+    });
+
+    return AzureTransport;
+});
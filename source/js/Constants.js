@@ -12,6 +12,8 @@ define(/** @lends Constants */ function(){
         AX_CHECK:       3,
         AX_READY:       4,
         AX_NO_FILES:    5,
+        AX_PAUSED:      6,
+        AX_VALIDATING:  7,
         events: {
             finish:             'upload_finish',
             finishFile:         'upload_finish_file',
@@ -22,6 +24,7 @@ define(/** @lends Constants */ function(){
             beforeUpload:       'before_upload',
             beforeUploadFile:   'before_upload_file',
             md5Done:            'md5_calculated',
+            hashDone:           'hash_calculated',
             exifDone:           'exif_decoded',
             beforePreview:      'before_preview',
             preview:            'preview_done'
@@ -29,6 +32,7 @@ define(/** @lends Constants */ function(){
         ENV: 'PROD', //dev/production: useful if need to enable log on windows console
         IMAGE_SCALE_ON: true,
         MD5_ON: true,
+        HASH_ON: true,
         EXIF_ON: true,
         VERSION: ''
     }
@@ -87,6 +87,23 @@ define(['Utils'], /** @lends ExifReader */ function(Utils){
         always: function(callback, ctx){
             return this._addCallback(callback, ctx, 'always');
         },
+        /**
+         * Promise version of the done/error callbacks. Resolves with the exif data, or null if the file is not
+         * a JPEG, rejects on read error. The read still needs to be started with start
+         * @returns {Promise}
+         */
+        promise: function() {
+            var me = this;
+            return new Promise(function(resolve, reject) {
+                me.done(function(exif) {
+                    resolve(exif);
+                }).error(function(e) {
+                    reject(e);
+                }).always(function() {
+                    resolve(null);
+                });
+            });
+        },
         _addCallback: function(callback, ctx, queue) {
             if( typeof callback == 'function') this['_'+queue].push({callback: callback, ctx: ctx });
             return this;
@@ -0,0 +1,361 @@
+/**
+ * @file File hash calculation in javascript: md5, sha1, sha256, crc32 and crc32c
+ * @author Alban Xhaferllari <albanx@gmail.com>
+ * @version 1.0
+ */
+define(['Utils', 'FileMd5'], /** @lends FileHash */ function(Utils, FileMd5) {
+
+    /**
+     * Algorithms supported by the worker
+     * @type {Array}
+     */
+    var ALGORITHMS = ['md5', 'sha1', 'sha256', 'crc32', 'crc32c'];
+
+    /**
+     * File hash calculation with one or more algorithms in a single read of the file, uses webworker.
+     * Same callbacks of FileMd5, done receives the hashes as object {algorithm: hex digest}
+     * @param {File} file The file object
+     * @param {Array} algorithms list of algorithms: md5, sha1, sha256, crc32, crc32c
+     * @constructor
+     * @example:
+     * var hashCalc = new FileHash(file, ['sha256', 'crc32c']);
+     * hashCalc.done(function(hashes){
+     *     console.log(hashes.sha256, hashes.crc32c);
+     * });
+     * hashCalc.start();
+     */
+    var FileHash = function(file, algorithms){
+        var me = this;
+
+        //event listener of onMessage
+        var onMessage = function(event){
+            var a = event.data;
+            if (a.status == 'progress') {
+                me._runStack(me._progress, [a.progress]);
+            } else if (a.status == "end") {
+                me._runStack(me._done, [a.result])._runStack(me._always, [event]);
+                me.hashWorker.terminate();
+            }
+        };
+
+        var onError = function(event) {
+            me._runStack(me._error, [event])._runStack(me._always, [event]);
+            me.hashWorker.terminate();
+        };
+
+        //create the queue stacks callbacks
+        this._done      = [];
+        this._error     = [];
+        this._always    = [];
+        this._progress  = [];
+        this.file       = file;
+        this.algorithms = FileHash.filter(algorithms);
+
+        try {
+            this.hashWorker = Utils.runInBackground(hashFunction);
+            this.hashWorker.onmessage = onMessage;
+            this.hashWorker.onerror = onError;
+        } catch (exp) {
+            me._runStack(me._error, [exp])._runStack(me._always, [exp]);
+        }
+    };
+
+    //same callback system of the md5 calculation
+    FileHash.prototype = Utils.extend(Object.create(FileMd5.prototype), {
+        start: function(){
+            this._startTime = new Date();
+            this.hashWorker.postMessage({ file : this.file, algorithms: this.algorithms });
+            return this;
+        },
+        stop: function() {
+            this.hashWorker.terminate();
+        }
+    });
+
+    /**
+     * Keep only the supported algorithms, lower case and without duplicates
+     * @param {Array|String} algorithms
+     * @returns {Array}
+     */
+    FileHash.filter = function(algorithms) {
+        var list = [];
+        algorithms = [].concat(algorithms || []);
+        for (var i = 0; i < algorithms.length; i++) {
+            var name = String(algorithms[i]).toLowerCase().replace('-', '');
+            if (ALGORITHMS.indexOf(name) >= 0 && list.indexOf(name) < 0) {
+                list.push(name);
+            } else if (ALGORITHMS.indexOf(name) < 0) {
+                Utils.log('FileHash:::unsupported algorithm', algorithms[i]);
+            }
+        }
+        return list;
+    };
+
+    /**
+     * Incremental hash of a file while it is uploaded, same behaviour of FileMd5.Incremental with more algorithms.
+     * The digest callback receives the hashes object or null
+     * @param {File} file The file object
+     * @param {Array} algorithms list of algorithms
+     * @constructor
+     */
+    FileHash.Incremental = function(file, algorithms) {
+        var me = this;
+        this.file       = file;
+        this.algorithms = FileHash.filter(algorithms);
+        this.length     = 0;
+        this._digest    = [];
+        this.failed     = false;
+
+        try {
+            this.worker = Utils.runInBackground(hashFunction);
+            this.worker.onmessage = function(event) {
+                if( event.data.status == 'end' ) {
+                    me._end(event.data.result);
+                }
+            };
+            this.worker.onerror = function() {
+                me.failed = true;
+                me._end(null);
+            };
+        } catch (exp) {
+            this.failed = true;
+        }
+    };
+
+    FileHash.Incremental.prototype = Utils.extend(Object.create(FileMd5.Incremental.prototype), {
+        update: function(end) {
+            end = Math.min(end, this.file.size);
+            if( this.failed || end <= this.length ) return this;
+            this.worker.postMessage({
+                chunk:      Utils.sliceFile(this.file, this.length, end),
+                algorithms: this.algorithms
+            });
+            this.length = end;
+            return this;
+        }
+    });
+
+    /**
+     * this function is executed in a WebWorker, for every message: {file, algorithms} hashes the whole file,
+     * {chunk, algorithms} adds a blob to the incremental hashes and {finish} ends them
+     * @param data
+     */
+    function hashFunction(data) {
+
+        function rotl(x, n) {
+            return x << n | x >>> 32 - n;
+        }
+
+        function toHex(words, bigEndian) {
+            var hex = '';
+            for (var i = 0; i < words.length; i++) {
+                for (var j = 0; j < 4; j++) {
+                    var b = words[i] >>> (bigEndian ? 24 - j * 8 : j * 8) & 255;
+                    hex += (b < 16 ? '0' : '') + b.toString(16);
+                }
+            }
+            return hex;
+        }
+
+        //hashes working on 64 bytes blocks: md5, sha1, sha256
+        function blockHash(init, compress, bigEndian) {
+            var h       = init.slice();
+            var buffer  = new Uint8Array(64);
+            var used    = 0;
+            var length  = 0;
+            var w       = [];
+
+            var readWords = function(bytes, offset) {
+                for (var i = 0; i < 16; i++, offset += 4) {
+                    w[i] = bigEndian ?
+                        bytes[offset] << 24 | bytes[offset + 1] << 16 | bytes[offset + 2] << 8 | bytes[offset + 3] :
+                        bytes[offset] | bytes[offset + 1] << 8 | bytes[offset + 2] << 16 | bytes[offset + 3] << 24;
+                }
+                compress(h, w);
+            };
+
+            var update = function(bytes) {
+                var i = 0;
+                length += bytes.length;
+                if (used > 0) {
+                    for (; i < bytes.length && used < 64; i++) buffer[used++] = bytes[i];
+                    if (used < 64) return;
+                    readWords(buffer, 0);
+                    used = 0;
+                }
+                for (; i + 64 <= bytes.length; i += 64) readWords(bytes, i);
+                for (; i < bytes.length; i++) buffer[used++] = bytes[i];
+            };
+
+            return {
+                update: update,
+                digest: function() {
+                    var bits    = length * 8;
+                    var pad     = new Uint8Array((used < 56 ? 56 : 120) - used + 8);
+                    var high    = Math.floor(bits / 4294967296);
+                    pad[0] = 128;
+                    for (var i = 0; i < 4; i++) {
+                        //length in bits as 64 bit integer
+                        var lowByte = bits / Math.pow(2, i * 8) & 255, highByte = high >>> i * 8 & 255;
+                        if (bigEndian) {
+                            pad[pad.length - 1 - i] = lowByte;
+                            pad[pad.length - 5 - i] = highByte;
+                        } else {
+                            pad[pad.length - 8 + i] = lowByte;
+                            pad[pad.length - 4 + i] = highByte;
+                        }
+                    }
+                    length -= pad.length;//the padding is not part of the length
+                    update(pad);
+                    return toHex(h, bigEndian);
+                }
+            };
+        }
+
+        var MD5_K = [], MD5_S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        for (var k = 0; k < 64; k++) MD5_K[k] = Math.floor(Math.abs(Math.sin(k + 1)) * 4294967296) | 0;
+
+        function md5Compress(h, w) {
+            var a = h[0], b = h[1], c = h[2], d = h[3];
+            for (var i = 0; i < 64; i++) {
+                var f, g, r = i >> 4;
+                if (r === 0) { f = b & c | ~b & d; g = i; }
+                else if (r === 1) { f = d & b | ~d & c; g = (5 * i + 1) % 16; }
+                else if (r === 2) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+                else { f = c ^ (b | ~d); g = 7 * i % 16; }
+                var t = d;
+                d = c;
+                c = b;
+                b = b + rotl(a + f + MD5_K[i] + w[g] | 0, MD5_S[r * 4 + i % 4]) | 0;
+                a = t;
+            }
+            h[0] = h[0] + a | 0; h[1] = h[1] + b | 0; h[2] = h[2] + c | 0; h[3] = h[3] + d | 0;
+        }
+
+        function sha1Compress(h, w) {
+            var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4];
+            for (var i = 0; i < 80; i++) {
+                if (i >= 16) w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+                var f = i < 20 ? (b & c | ~b & d) + 1518500249 :
+                    i < 40 ? (b ^ c ^ d) + 1859775393 :
+                    i < 60 ? (b & c | b & d | c & d) - 1894007588 :
+                    (b ^ c ^ d) - 899497514;
+                var t = rotl(a, 5) + f + e + w[i] | 0;
+                e = d;
+                d = c;
+                c = rotl(b, 30);
+                b = a;
+                a = t;
+            }
+            h[0] = h[0] + a | 0; h[1] = h[1] + b | 0; h[2] = h[2] + c | 0; h[3] = h[3] + d | 0; h[4] = h[4] + e | 0;
+        }
+
+        //sha256 constants: fractional parts of the square and cube roots of the first primes
+        var SHA256_K = [], SHA256_H = [];
+        for (var n = 2, found = 0; found < 64; n++) {
+            for (var p = 2; p * p <= n && n % p; p++);
+            if (p * p > n) {
+                if (found < 8) SHA256_H[found] = (Math.pow(n, 1 / 2) % 1) * 4294967296 | 0;
+                SHA256_K[found++] = (Math.pow(n, 1 / 3) % 1) * 4294967296 | 0;
+            }
+        }
+
+        function sha256Compress(h, w) {
+            var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+            for (var i = 0; i < 64; i++) {
+                if (i >= 16) {
+                    var w15 = w[i - 15], w2 = w[i - 2];
+                    w[i] = (rotl(w15, 25) ^ rotl(w15, 14) ^ w15 >>> 3) + w[i - 7] +
+                        (rotl(w2, 15) ^ rotl(w2, 13) ^ w2 >>> 10) + w[i - 16] | 0;
+                }
+                var t1 = hh + (rotl(e, 26) ^ rotl(e, 21) ^ rotl(e, 7)) + (e & f ^ ~e & g) + SHA256_K[i] + w[i] | 0;
+                var t2 = (rotl(a, 30) ^ rotl(a, 19) ^ rotl(a, 10)) + (a & b ^ a & c ^ b & c) | 0;
+                hh = g;
+                g = f;
+                f = e;
+                e = d + t1 | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = t1 + t2 | 0;
+            }
+            h[0] = h[0] + a | 0; h[1] = h[1] + b | 0; h[2] = h[2] + c | 0; h[3] = h[3] + d | 0;
+            h[4] = h[4] + e | 0; h[5] = h[5] + f | 0; h[6] = h[6] + g | 0; h[7] = h[7] + hh | 0;
+        }
+
+        //table driven crc32, reflected polynomial
+        function crcHash(poly) {
+            var table = [], crc = -1;
+            for (var i = 0; i < 256; i++) {
+                var c = i;
+                for (var j = 0; j < 8; j++) c = c & 1 ? poly ^ c >>> 1 : c >>> 1;
+                table[i] = c;
+            }
+            return {
+                update: function(bytes) {
+                    for (var i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 255] ^ crc >>> 8;
+                },
+                digest: function() {
+                    return toHex([~crc], true);
+                }
+            };
+        }
+
+        function createHash(name) {
+            switch (name) {
+                case 'md5':     return blockHash([1732584193, -271733879, -1732584194, 271733878], md5Compress, false);
+                case 'sha1':    return blockHash([1732584193, -271733879, -1732584194, 271733878, -1009589776], sha1Compress, true);
+                case 'sha256':  return blockHash(SHA256_H, sha256Compress, true);
+                case 'crc32':   return crcHash(0xEDB88320);
+                case 'crc32c':  return crcHash(0x82F63B78);
+            }
+        }
+
+        function createHashes(algorithms) {
+            self.hashes = {};
+            for (var i = 0; i < algorithms.length; i++) {
+                self.hashes[algorithms[i]] = createHash(algorithms[i]);
+            }
+        }
+
+        function updateHashes(blob, progress) {
+            var fileSync    = new FileReaderSync;
+            var size        = blob.size;
+            for (var start = 0; start < size; start += 1048576) {
+                var bytes = new Uint8Array( fileSync.readAsArrayBuffer( blob.slice(start, start + 1048576) ) );
+                for (var name in self.hashes) {
+                    self.hashes[name].update(bytes);
+                }
+
+                //monitor progress in percent, with performance wise, only on full percent 1 2 3 ...
+                var percent = Math.ceil( 100 * Math.min(start + 1048576, size) / size );
+                if (progress && percent >= self.percent) {
+                    postMessage({ status: "progress", progress: percent });
+                    self.percent = percent + 1;
+                }
+            }
+        }
+
+        function endHashes() {
+            var result = {};
+            for (var name in self.hashes) {
+                result[name] = self.hashes[name].digest();
+            }
+            postMessage({status: "end", result: result });
+        }
+
+        if (data.file) {
+            self.percent = 1;
+            createHashes(data.algorithms);
+            updateHashes(data.file, true);
+            endHashes();
+        } else if (data.chunk) {
+            if (!self.hashes) createHashes(data.algorithms);
+            updateHashes(data.chunk, false);
+        } else {
+            endHashes();
+        }
+    }
+
+    return FileHash;
+});
@@ -68,6 +68,21 @@ define(['Utils'], /** @lends FileMd5 */ function(Utils) {
         always: function(callback, ctx){
             return this._addCallback(callback, ctx, 'always');
         },
+        /**
+         * Promise version of the done/error callbacks. Resolves with the md5 string, rejects on worker error.
+         * The calculation still needs to be started with start
+         * @returns {Promise}
+         */
+        promise: function() {
+            var me = this;
+            return new Promise(function(resolve, reject) {
+                me.done(function(md5) {
+                    resolve(md5);
+                }).error(function(e) {
+                    reject(e);
+                });
+            });
+        },
         _addCallback: function(callback, ctx, queue) {
             if( typeof callback == 'function') this['_'+queue].push({callback: callback, ctx: ctx });
             return this;
@@ -90,11 +105,91 @@ define(['Utils'], /** @lends FileMd5 */ function(Utils) {
     };
 
     /**
-     * this function is executed in a WebWorker
+     * Incremental md5 of a file, for hashing it while it is uploaded: every chunk is added to the hash when it is
+     * sliced for the upload, so the file is read only once. Bytes are hashed in order, a range already hashed (a chunk
+     * retry) is not hashed again, a range after a hole (a resume) hashes also the hole
+     * @param {File} file The file object
+     * @constructor
+     * @example:
+     * var hasher = new FileMd5.Incremental(file);
+     * hasher.update(chunkEnd);
+     * hasher.digest(function(md5){
+     *     console.log(md5);
+     * });
+     */
+    FileMd5.Incremental = function(file) {
+        var me = this;
+        this.file       = file;
+        this.length     = 0;        //bytes sent to the worker
+        this._digest    = [];       //callbacks waiting for the digest
+        this.failed     = false;
+
+        try {
+            this.worker = Utils.runInBackground(md5Function);
+            this.worker.onmessage = function(event) {
+                if( event.data.status == 'end' ) {
+                    me._end(event.data.result);
+                }
+            };
+            this.worker.onerror = function() {
+                me.failed = true;
+                me._end(null);
+            };
+        } catch (exp) {
+            this.failed = true;
+        }
+    };
+
+    FileMd5.Incremental.prototype = {
+        /**
+         * Add to the hash the bytes of the file until the end byte
+         * @param {Number} end end byte
+         * @returns {FileMd5.Incremental}
+         */
+        update: function(end) {
+            end = Math.min(end, this.file.size);
+            if( this.failed || end <= this.length ) return this;
+            this.worker.postMessage({ chunk : Utils.sliceFile(this.file, this.length, end) });
+            this.length = end;
+            return this;
+        },
+        /**
+         * Hash the rest of the file and get the md5. The callback receives null if the worker failed
+         * @param {Function} callback
+         * @param {Object} [ctx] callback scope
+         * @returns {FileMd5.Incremental}
+         */
+        digest: function(callback, ctx) {
+            if( this.failed ) {
+                callback.call(ctx, null);
+                return this;
+            }
+            this._digest.push({callback: callback, ctx: ctx});
+            if( this._digest.length === 1 ) {
+                this.update(this.file.size);
+                this.worker.postMessage({ finish : true });
+            }
+            return this;
+        },
+        stop: function() {
+            if( this.worker ) this.worker.terminate();
+            this.failed = true;
+            this._digest = [];
+        },
+        _end: function(md5) {
+            var stack = this._digest;
+            this._digest = [];
+            this.stop();
+            FileMd5.prototype._runStack(stack, [md5]);
+        }
+    };
+
+    /**
+     * this function is executed in a WebWorker, for every message: {file} hashes the whole file, {chunk} adds a blob
+     * to the incremental hash and {finish} ends it
      * @param data
      */
     function md5Function(data) {
-        self.percent = 1;
         var e = self.Crypto = {}, g = e.util = {
             rotl: function (a, b) {
                 return a << b | a >>> 32 - b
@@ -191,15 +286,42 @@ define(['Utils'], /** @lends FileMd5 */ function(Utils) {
             return [c, a, d, e]
         }
 
-        self.md5hash = [1732584193, -271733879, -1732584194, 271733878];
-
         function updateMd5(b, g, c, a) {
             b = new Uint8Array(b);
             b = Crypto.util.endian(Crypto.util.bytesToWords(b));
-            c === a && (g = 8 * (c - g), a *= 8, b[g >>> 5] |= 128 << a % 32, b[(g + 64 >>> 9 << 4) + 14] = a);
+            //the bit length takes two words, the high one is needed from 512MB
+            c === a && (g = 8 * (c - g), a *= 8, b[g >>> 5] |= 128 << a % 32, b[(g + 64 >>> 9 << 4) + 14] = a,
+                b[(g + 64 >>> 9 << 4) + 15] = Math.floor(a / 4294967296));
             self.md5hash = md5(b, self.md5hash);
         }
 
+        //incremental hash, the bytes are hashed in blocks of 64, the rest waits the next chunk
+        function readChunk(chunk) {
+            var fileSync = new FileReaderSync;
+            for (var start = 0; start < chunk.size; start += 1048576) {
+                var bytes = new Uint8Array( fileSync.readAsArrayBuffer( chunk.slice(start, start + 1048576) ) );
+                if (self.md5rest.length) {
+                    var joined = new Uint8Array(self.md5rest.length + bytes.length);
+                    joined.set(self.md5rest);
+                    joined.set(bytes, self.md5rest.length);
+                    bytes = joined;
+                }
+                var full = bytes.length - bytes.length % 64;
+                if (full > 0) {
+                    self.md5hash = md5(Crypto.util.endian(Crypto.util.bytesToWords(bytes.subarray(0, full))), self.md5hash);
+                }
+                self.md5rest = bytes.slice(full);
+                self.md5length += full;
+            }
+        }
+
+        function finishChunks() {
+            var rest    = self.md5rest;
+            var size    = self.md5length + rest.length;
+            updateMd5(rest.buffer, self.md5length, size, size);
+            postMessage({status: "end", result: Crypto.util.bytesToHex( Crypto.util.wordsToBytes( Crypto.util.endian(self.md5hash) ) ) });
+        }
+
 
 
         function readBlob(b) {
@@ -230,7 +352,18 @@ define(['Utils'], /** @lends FileMd5 */ function(Utils) {
             postMessage({status: "end", result: md5 });
         }
 
-        readBlob(data);
+        if (data.file) {
+            self.percent = 1;
+            self.md5hash = [1732584193, -271733879, -1732584194, 271733878];
+            readBlob(data);
+        } else {
+            if (!self.md5rest) {
+                self.md5hash    = [1732584193, -271733879, -1732584194, 271733878];
+                self.md5rest    = new Uint8Array(0);
+                self.md5length  = 0;    //bytes hashed, without the rest
+            }
+            data.chunk ? readChunk(data.chunk) : finishChunks();
+        }
     }
 
 
@@ -4,8 +4,8 @@
  * @author Alban Xhaferllari
  * @version 1.0
  */
-define(['Constants', 'Utils', 'SimpleRunner', 'i18n', 'FileMd5', 'ExifReader', 'ImageScale'], /** @lends FileObject */
-function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
+define(['Constants', 'Utils', 'SimpleRunner', 'i18n', 'FileMd5', 'FileHash', 'ExifReader', 'ImageScale', 'FileValidator'], /** @lends FileObject */
+function (Constants, Utils, SimpleRunner, _, FileMd5, FileHash, ExifReader, ImageScale, FileValidator) {
     'use strict';
     /**
      * FileObject class holds file logic and file upload
@@ -24,28 +24,53 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
         me.ext        = file.extension;   	//file extension
         me.fileId     = fileId;               //unique id  for the file
         me.tempFileName = null;               //temp file name used for upload, generated on server side
-        me.xhr    	= null; 			    //xmlhttprequest object or form
+        me.xhr    	= null; 			    //current transport request, has an abort method
         me.info   	= null; 			    //info about upload status
         me.extraInfo 	= null; 			    //info about upload status
-        me.status     = Constants.AX_IDLE; 	//status -1 error, 0 idle 1 done, 2 uploading, 3 check, 4 ready
+        me.status     = Constants.AX_IDLE; 	//status -1 error, 0 idle 1 done, 2 uploading, 3 check, 4 ready, 6 paused, 7 validating
         me.AU         = AU; 				    //RealUploader object
         me.config     = AU.config;            //master configuration
         me.exifData   = null;                 //exif information of JPEG file
         me.md5    	= '';                   //md5 of file calculated with javascript
+        me.md5Hasher  = null;                 //incremental md5 of the running upload, on md5Mode incremental
+        me.hashes     = {};                   //hex digests of the file by algorithm, md5 and hashAlgorithms option
+        me.hashAlgorithms = [];               //algorithms calculated with FileHash, md5 included when needed
         me.disabled   = false;			    //if disabled cannot be uploaded
-        me.ready  	= false;                //boolean telling when file is ready for upload
+        me.isReady  	= false;                //boolean telling when file is ready for upload, see ready()
+        me.priority   = 0;                    //upload priority in queue, higher first, same priority FIFO
+        me.queueSeq   = 0;                    //position in queue assigned by the queue manager
+        me.hasSlot    = false;                //true when the file is holding a upload slot of the queue manager
         me.requestDuration = 0;               //medium request duration
+        me.chunkSize  = AU.config.chunkSize;  //chunk size of this file, changes with adaptiveChunk
         me.currentFun = null;                 //current running pre-upload function
-        me.dom        = {};                   //contains references to dom template objects
+        me.dom        = {};                   //contains references to dom template objects, empty on headless mode
+        me.headless   = !!AU.config.headless; //no html rendering, state only by events and getState
+        me.message    = '';                   //current message of the file
+        me.progress   = 0;                    //current progress percent of the file
         me.imgCls     = '';                   //variable for keep the orientation of file
         me.checkSum   = {};                   //checksum information about me file
+        me.dimensions = null;                 //width and height of the image, set by the imageDimensions validation
+        me.detectedType = null;               //real type from the magic bytes {ext, mime, extensions}, see contentCheck
+        me.fingerprint = me.getFingerprint(); //identifies the same file between sessions, for resumable uploads
+        me.addedIndex = AU.fileIndex;         //order of add in the uploader, the newer file is the duplicate
 
         //temp variables
         me.currentByte    = 0; 	            //current uploaded byte
         me.loading_bytes 	= 0;
+        me.uploadedBytes  = 0;                //bytes sent to the server, used by the overall progress
         me.temp_bytes 	= 0;
         me._preUploadFun  = [];
         me.speedInterval  = null;             //interval handling the bandwidth statics
+        me.response       = null;             //last server response of a completed upload
+        me._uploadWaiters = [];               //promises waiting for the upload end
+        me._readyWaiters  = [];               //promises waiting for the pre-upload functions end
+        me.retryAttempt   = 0;                //failed attempts of the current chunk
+        me.retryTimeout   = null;             //timeout of the next chunk attempt
+        me.throttleTimeout = null;            //timeout of a chunk waiting for the bandwidth limit
+        me.parallel       = null;             //state of the running parallel chunk upload
+        me.checkRun       = null;             //checks before the upload {ask}, dropped when the file is stopped
+        me.replacing      = null;             //duplicate removed when this file passes the validation
+        me.transport      = AU.createTransport(me); //wire protocol used for the upload
         me.init();
     };
 
@@ -56,22 +81,53 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
          */
         init: function() {
             var me = this;
-            //visual part
-            me.renderHtml();
+            //visual part, not on headless mode
+            if( !me.headless ) {
+                me.renderHtml();
 
-            //bind events
-            me.bindEvents();
-
-            //bind file calculation, operation, most of case heavy operations using WebWorkers
-            //for the moment run on file select
-            me.queueFileOperations();
+                //bind events
+                me.bindEvents();
+            }
 
-            //create a preview for supported files
-            me.bindFilePreview();
+            //the file operations start after the validation, see validate
+            me.setStatus(Constants.AX_VALIDATING);
+            me.disableUpload( _('Validating') );
+            return me;
+        },
+        /**
+         * Run the validation pipeline of the file. A valid file continues with the file operations and the preview,
+         * an invalid one is reported by the errorFile event and removed from the list
+         * @returns {FileObject} Chaining
+         */
+        validate: function() {
+            var me          = this;
+            var validator   = new FileValidator(me);
+            validator.done(function() {
+                me.currentFun = null;
+                if( me.replacing && !me.AU._replaceDuplicate(me) ) return;
+                me.setStatus(Constants.AX_IDLE);
+
+                //bind file calculation, operation, most of case heavy operations using WebWorkers
+                //for the moment run on file select
+                me.queueFileOperations();
+
+                //create a preview for supported files
+                me.bindFilePreview();
+
+                //run the queue operations
+                me.disableUpload( _('Processing') );
+                me.runQueue();
+            });
+            validator.error(function(errors) {
+                me.currentFun = null;
+                me.replacing = null;
+                me.AU.triggerEvent('errorFile', [errors, me.name]);
+                me.destroy();
+            });
 
-            //run the queue operations
-            me.disableUpload( _('Processing') );
-            me.runQueue();
+            //the running validation is stopped like the other file operations
+            me.currentFun = validator;
+            validator.start();
             return me;
         },
         /**
@@ -81,6 +137,9 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
         destroy: function(){
             var me = this;
 
+            //the promises of ready and upload will never be settled by the file events
+            me._rejectWaiters();
+
             //stop any file function running
             me.stopQueue();
 
@@ -91,7 +150,9 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             me.AU._removeFile(me.fileId);
 
             //remove dom element
-            me.dom.container.parentNode.removeChild(me.dom.container);
+            if( me.dom.container && me.dom.container.parentNode ) {
+                me.dom.container.parentNode.removeChild(me.dom.container);
+            }
 
             //set all possible references to null
             me.file       = null;
@@ -136,8 +197,40 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                 }
             }
 
-            //calculate md5
-            if(  typeof FileMd5 !== 'undefined' && me.config.md5Calculate && Constants.MD5_ON) {
+            //calculate md5, needed also by the content duplicates check
+            var hashDuplicates = me.config.duplicateCheck == 'hash' && me.config.duplicates != 'allow';
+            var md5Needed = typeof FileMd5 !== 'undefined' && (me.config.md5Calculate || hashDuplicates) && Constants.MD5_ON;
+
+            //other hashes, the md5 is calculated in the same file read
+            if( typeof FileHash !== 'undefined' && Constants.HASH_ON ) {
+                me.hashAlgorithms = FileHash.filter(me.config.hashAlgorithms);
+                if( me.hashAlgorithms.length && md5Needed && me.hashAlgorithms.indexOf('md5') < 0 ) {
+                    me.hashAlgorithms.push('md5');
+                }
+            }
+
+            //single pass hash, calculated on the upload chunks
+            me.md5Incremental = (md5Needed || me.hashAlgorithms.length > 0) && me.config.md5Mode == 'incremental' &&
+                !hashDuplicates && !me.config.instantUpload;
+
+            if( me.hashAlgorithms.length && !me.md5Incremental ) {
+                if( me.hashAlgorithms.indexOf('md5') >= 0 ) {
+                    me.AU.triggerEvent('md5Start', [me]);
+                }
+
+                //start hash calculation
+                var hashApp = new FileHash(me.file, me.hashAlgorithms);
+                hashApp.done(function(hashes) {
+                    me._setHashes(hashes);
+                    //removed as a content duplicate
+                    if( !me.AU ) return;
+                    me.setMessage('').setProgress(0);
+                }, me).progress(function(percent) {
+                    //progress bar update
+                    me.workProgress( _('Calculating hash'), percent );
+                }, me);
+                me._preUploadFun.push( hashApp );
+            } else if( md5Needed && !me.md5Incremental ) {
 
                 //trigger md5 event start
                 me.AU.triggerEvent('md5Start', [me]);
@@ -145,9 +238,9 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                 //start md5 calculation
                 var md5App = new FileMd5(me.file);
                 md5App.done(function(md5) {
-                    Utils.log('md5 calculated', md5);
-                    me.md5 = md5;
-                    me.AU.triggerEvent('md5Done', [me, md5]);
+                    me._setHashes({md5: md5});
+                    //removed as a content duplicate
+                    if( !me.AU ) return;
                     me.setMessage('').setProgress(0);
                 }, me).progress(function(percent) {
                     //progress bar update
@@ -165,7 +258,9 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                     me.AU.triggerEvent('exifDone', [me, exif]);
                     me.setMessage('').setProgress(0);
                     me.imgCls = me.fixOrientation();
-                    me.dom.previewImage.className += ' '+me.imgCls;//fix image orientation
+                    if( me.dom.previewImage ) {
+                        me.dom.previewImage.className += ' '+me.imgCls;//fix image orientation
+                    }
                 }, me).progress(function(percent) {
                     //progress bar update
                     me.workProgress( _('Reading exif'), percent );
@@ -175,6 +270,24 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
 
             return me;
         },
+        /**
+         * Keep the calculated hashes of the file and notify them. The md5 is also on the md5 property
+         * @param {Object} hashes hex digests by algorithm
+         * @private
+         */
+        _setHashes: function(hashes) {
+            var me = this;
+            Utils.log('hashes calculated', hashes);
+            me.hashes = hashes;
+            me.AU.triggerEvent('hashDone', [me, hashes]);
+            if( hashes.md5 ) {
+                me.md5 = hashes.md5;
+                me.AU.triggerEvent('md5Done', [me, hashes.md5]);
+                if( me.config.duplicateCheck == 'hash' && me.config.duplicates != 'allow' ) {
+                    me.AU._checkDuplicateHash(me);
+                }
+            }
+        },
         /**
          * Stop the running function on the file, will stops workers.
          */
@@ -183,14 +296,17 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                 this.currentFun.stop();
                 this.currentFun = null;
             }
-            this.enableUpload( _('Ready for upload') );
             this._preUploadFun = [];
+            this.enableUpload( _('Ready for upload') );
+            this._settleReady(null);
         },
         /**
          * Start exec of the functions
          * @returns {FileObject} Chaining
          */
         runQueue: function() {
+            //file destroyed by a function of the queue, for example a duplicate
+            if( !this.AU ) return this;
 
             if( this._preUploadFun.length > 0 ) {
                 //get the next action to do on the file
@@ -202,10 +318,94 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                 objClass.start();
             } else {
                 //activate or start upload
+                this.currentFun = null;
                 this.enableUpload( _('Ready for upload') );
+                this._settleReady(null);
             }
             return this;
         },
+        /**
+         * Returns a promise resolved when the pre-upload functions (resize, md5, exif) are finished
+         * @returns {Promise} resolves with this file object, rejects if the file is removed before
+         * @example
+         * await fileObject.ready();
+         * console.log(fileObject.md5);
+         */
+        ready: function() {
+            var me = this;
+            return new Promise(function(resolve, reject) {
+                if( me.isReady ) {
+                    resolve(me);
+                } else {
+                    me._readyWaiters.push({resolve: resolve, reject: reject});
+                }
+            });
+        },
+        /**
+         * Settle the promises waiting for the pre-upload functions
+         * @param {Error|null} error the error if the file will never be ready
+         * @private
+         */
+        _settleReady: function(error) {
+            var list = this._readyWaiters;
+            this._readyWaiters = [];
+            this.isReady = !error;
+            for( var i = 0; i < list.length; i++ ) {
+                error ? list[i].reject(error) : list[i].resolve(this);
+            }
+        },
+        /**
+         * Reject the promises of ready and upload, the file is being removed from the list
+         * @private
+         */
+        _rejectWaiters: function() {
+            var error   = new Error(_('File removed'));
+            error.code  = 'REMOVED';
+            error.file  = this;
+            this._settleReady(error);
+            this._settleUpload(error);
+        },
+        /**
+         * Enqueue the file for upload and returns a promise of the result. A completed file resolves with its last
+         * response, a failed one is uploaded again
+         * @returns {Promise} resolves with the server JSON response, rejects with an Error that has code and file
+         * properties
+         * @example
+         * var json = await fileObject.upload();
+         */
+        upload: function() {
+            var promise = this._waitUpload();
+            this.AU.enqueueFile(this.fileId);
+            return promise;
+        },
+        /**
+         * Returns a promise settled on the next upload end of the file
+         * @returns {Promise}
+         * @private
+         */
+        _waitUpload: function() {
+            var me = this;
+            return new Promise(function(resolve, reject) {
+                if( me.status == Constants.AX_DONE ) {
+                    resolve(me.response);
+                } else {
+                    me._uploadWaiters.push({resolve: resolve, reject: reject});
+                }
+            });
+        },
+        /**
+         * Settle the promises waiting for the upload
+         * @param {Error|null} error the error if the upload failed
+         * @param {Object} [response] server response on success
+         * @private
+         */
+        _settleUpload: function(error, response) {
+            var list = this._uploadWaiters;
+            this._uploadWaiters = [];
+            for( var i = 0; i < list.length; i++ ) {
+                error ? list[i].reject(error) : list[i].resolve(response);
+            }
+        },
         /**
          * Render file html in the dom based on the selected theme and template
          */
@@ -245,6 +445,10 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                     '<span class="ax-info-icon ax-icon"></span>',
                     '<span class="ax-btn-text"></span>',
                 '</a>',
+                '<a class="ax-pause ax-button ax-disabled">',
+                    '<span class="ax-pause-icon ax-icon"></span>',
+                    '<span class="ax-btn-text"></span>',
+                '</a>',
             '</div>'].join('');
 
             var tplEdit = me.AU.triggerEvent('beforeRenderFile', [me, tpl]);
@@ -281,6 +485,10 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             me.dom.infoButton         = Utils.getEl(c, '.ax-info');
             me.dom.infoButtonText     = Utils.getEl(me.dom.infoButton, '.ax-btn-text');
 
+            //pause/resume button
+            me.dom.pauseButton        = Utils.getEl(c, '.ax-pause');
+            me.dom.pauseButtonText    = Utils.getEl(me.dom.pauseButton, '.ax-btn-text');
+
             me.dom.previewImage       = Utils.getEl(c, '.ax-preview');
             me.dom.previewContainer   = Utils.getEl(c, '.ax-prev-container');
             me.dom.progressBar        = Utils.getEl(c, '.ax-progress-bar');
@@ -294,7 +502,8 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                 .setUploadButton()
                 .setDeleteButton(false)
                 .setRemoveButton(_('Remove file from queue'))
-                .setInfoButton();
+                .setInfoButton()
+                .setPauseButton();
 
             me.AU.dom.fileList.appendChild( me.dom.container );
             me.AU.triggerEvent('afterRenderFile', [me, me.dom]);
@@ -308,7 +517,9 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
         setName: function(name) {
             this.name	= name;
             //update dom
-            this.dom.container.setAttribute('title', name);
+            if(this.dom.container) {
+                this.dom.container.setAttribute('title', name);
+            }
             if(this.dom.nameContainer) {
                 this.dom.nameContainer.innerHTML = name;
                 this.dom.nameContainer.setAttribute('title', name);
@@ -391,6 +602,32 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             }
             return this;
         },
+        /**
+         * Set the pause button status and string, enabled only while uploading or paused
+         * @returns {FileObject}
+         */
+        setPauseButton: function() {
+            var btn = this.dom.pauseButton;
+            if( btn ) {
+                var paused = this.status == Constants.AX_PAUSED;
+                if( paused || this.status == Constants.AX_UPLOADING ) {
+                    btn.classList.remove('ax-disabled');
+                } else {
+                    btn.classList.add('ax-disabled');
+                }
+
+                if( paused ) {
+                    btn.classList.add('ax-resume');
+                } else {
+                    btn.classList.remove('ax-resume');
+                }
+                btn.setAttribute('title', paused ? _('Resume upload') : _('Pause upload'));
+                if( this.dom.pauseButtonText ) {
+                    this.dom.pauseButtonText.innerHTML = paused ? _('Resume') : _('Pause');
+                }
+            }
+            return this;
+        },
         /**
          * Set the exif info button
          * @returns {FileObject}
@@ -440,7 +677,7 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
         disableUpload: function(msg) {
             var me = this;
             me.disabled = true;
-            me.dom.container.classList.add('ax-disabled');
+            me.dom.container && me.dom.container.classList.add('ax-disabled');
             me.setMessage(msg);
             return me;
         },
@@ -452,17 +689,40 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
         enableUpload: function(msg) {
             var me = this;
             me.disabled = false;
-            me.dom.container.classList.remove('ax-disabled');
+            me.dom.container && me.dom.container.classList.remove('ax-disabled');
             me.setMessage(msg);
             me.setProgress(0);
+            me._notifyReady();
             return me;
         },
+        /**
+         * Inform the queue manager that the file can be uploaded, if it is waiting in the queue it starts
+         * @returns {FileObject}
+         * @private
+         */
+        _notifyReady: function() {
+            if( !this.disabled && this.status == Constants.AX_READY && this.AU ) {
+                this.AU.processQueue();
+            }
+            return this;
+        },
+        /**
+         * Set the upload priority of the file. Files with higher priority are uploaded first
+         * @param {Number} priority
+         * @returns {FileObject}
+         */
+        setPriority: function(priority) {
+            this.priority = parseInt(priority) || 0;
+            this.AU._sortQueue();
+            return this;
+        },
         /**
          * Updates the progress bar width
          * @param {Number} percent from 1 to 100
          * @returns {FileObject} Chaining
          */
         setProgress: function(percent) {
+            this.progress = percent;
             if( this.dom.progressBar ) {
                 this.dom.progressBar.style.width = percent + '%';
             }
@@ -489,12 +749,41 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
          */
         setMessage: function(msg) {
             var me = this;
+            var changed = me.message !== msg;
+            me.message = msg;
             if( me.dom.progressInfo ) {
                 me.dom.progressInfo.innerHTML = msg;
                 me.dom.progressInfo.setAttribute('title', msg);
             }
+            if( changed && me.AU ) {
+                me.AU.triggerEvent('stateFile', [me, me.getState()]);
+            }
             return me;
         },
+        /**
+         * Get the current state of the file, for building a custom UI (see headless option)
+         * @returns {Object}
+         */
+        getState: function() {
+            return {
+                fileId:         this.fileId,
+                name:           this.name,
+                size:           this.size,
+                ext:            this.ext,
+                detectedType:   this.detectedType,
+                status:         this.status,
+                disabled:       this.disabled,
+                message:        this.message,
+                progress:       this.progress,
+                uploadedBytes:  this.uploadedBytes,
+                priority:       this.priority,
+                md5:            this.md5,
+                hashes:         this.hashes,
+                exifData:       this.exifData,
+                info:           this.info,
+                response:       this.response
+            };
+        },
         /**
          * Set the information to attach to the file
          * @param {String|Object} info normally would be exif information
@@ -536,6 +825,8 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             var me      = this;
             me.status	= parseInt(status);
             me.setUploadButton();
+            me.setPauseButton();
+            me.AU && me.AU.triggerEvent('stateFile', [me, me.getState()]);
             switch( me.status ) {
                 case Constants.AX_UPLOADING:
                     me.workProgress('', 0);
@@ -543,9 +834,16 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                 case Constants.AX_READY:
                     me.workProgress( _('Ready for upload'), 0);
                     me.setDeleteButton(false);
+                    me._notifyReady();
                     break;
                 case Constants.AX_ERROR:
                     break;
+                case Constants.AX_VALIDATING:
+                    me.setMessage( _('Validating') );
+                    break;
+                case Constants.AX_PAUSED:
+                    me.setMessage( _('Paused') + ' ' + Math.round(me.currentByte * 100 / me.size) + '%' );
+                    break;
                 case Constants.AX_DONE:
                     me.setMessage(_('File Uploaded'));
                     me.setDeleteButton(true);
@@ -564,6 +862,10 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                 me.dom.uploadButton.addEventListener('click', function () {
                     if (me.config.enable && !me.disabled) {
                         //start upload
+                        if (me.status == Constants.AX_PAUSED) {
+                            me.resume();
+                            return;
+                        }
                         me.status != Constants.AX_UPLOADING ? me.AU.enqueueFile(me.fileId) : me.stopUpload();
                         //me.status != Constants.AX_UPLOADING ?  me.startUpload() : me.stopUpload();
                     }
@@ -620,6 +922,15 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                 });
             }
 
+            //pause/resume button
+            if( me.dom.pauseButton ) {
+                me.dom.pauseButton.addEventListener('click', function() {
+                    if( me.config.enable ) {
+                        me.status == Constants.AX_PAUSED ? me.resume() : me.pause();
+                    }
+                });
+            }
+
             //info button
             if( this.dom.infoButton ) {
                 this.dom.infoButton.addEventListener('click', function() {
@@ -648,7 +959,12 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             if( me.config.allowDelete ) {
                 var params = me.getParams();
                 params.append('ax-delete-file', 1);
-                Utils.ajaxPost(me.config.url, params, null);
+                me.AU.http.send({method: 'POST', url: me.config.url, body: params, type: 'delete', file: me}, {
+                    done: function() {},
+                    error: function(code, msg) {
+                        Utils.log('deleteFile:::failed', msg);
+                    }
+                });
                 //we could use the post callback but delete should be fast
                 //if file is deleted then reset its status
                 me.setStatus(Constants.AX_READY);
@@ -659,12 +975,26 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
          * @private
          */
         bindFilePreview: function() {
+            var me = this;
+            me.AU.triggerVeto('beforePreview', [this], function(doPreview) {
+                //file removed while waiting the listeners
+                if( me.AU ) {
+                    me._createPreview(doPreview);
+                }
+            });
+            return this;
+        },
+        /**
+         * Create the preview image, if allowed by the beforePreview listeners
+         * @param {boolean} doPreview
+         * @private
+         */
+        _createPreview: function(doPreview) {
             var me          = this;
-            var doPreview   = me.AU.triggerEvent('beforePreview', [this]);
-            var createPrev  = me.config.previews && me.file.type.match(/image.*/) &&
+            var createPrev  = !me.headless && me.config.previews && me.file.type.match(/image.*/) &&
                                 ( me.ext === 'jpeg' || me.ext === 'jpg' || me.ext === 'gif' || me.ext === 'png' ) ;
             var URL         = window.URL || window.webkitURL;
-            if( URL && URL.createObjectURL && createPrev && me.config.previewFileSize >= me.size && doPreview !== false ) {
+            if( URL && URL.createObjectURL && createPrev && me.config.previewFileSize >= me.size && doPreview ) {
                 var img = new Image();
                 img.onload = function() {
                     me.setPreviewImage(true, this.src);
@@ -753,6 +1083,18 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             var me      = this;
             var runner  = new SimpleRunner(me);
 
+            //no dialog on headless mode, the answer comes from the askUser listeners
+            if( me.headless ) {
+                if( me.AU.events.askUser.length ) {
+                    me.AU.triggerEvent('askUser', [me, msg, runner]);
+                } else {
+                    setTimeout(function(){
+                        runner.run('yes');
+                    }, 10);
+                }
+                return runner;
+            }
+
             var html = ['<div class="ax-ask-inner">',
                             '<div class="ax-ask-quest">'+msg+'</div> ',
                             '<a title="'+_('Yes')+'" class="ax-button ax-reply-yes"><span class="ax-icon"></span> <span class="ax-btn-text">'+_('Yes')+'</span></a>',
@@ -796,10 +1138,16 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             var runner  = new SimpleRunner(this);
             var me      = this;
             if( this.config.checkFileExists ) {
-                var params = this.getParams();
-                params.append('ax-check-file', 1);
-                Utils.ajaxPost(this.config.url, params, function(msg) {
-                    runner.run( msg.info == 'yes' ? 'yes' : 'no');
+                me.transport.exists({
+                    done: function(exists) {
+                        //file removed meanwhile
+                        if( !me.AU ) return;
+                        runner.run( exists ? 'yes' : 'no');
+                    },
+                    error: function() {
+                        if( !me.AU ) return;
+                        runner.run('no');
+                    }
                 });
             } else {
                 setTimeout(function(){
@@ -810,6 +1158,110 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
         },
 
 
+        /**
+         * Instant upload: ask the server if it already has the file content, by md5 and size. If so the file is
+         * completed with the server response and the runner goes to yes, otherwise to no
+         * @returns {SimpleRunner} a simple deferred system
+         */
+        checkInstantUpload: function() {
+            var runner  = new SimpleRunner(this);
+            var me      = this;
+            if( me.config.instantUpload && me.md5 ) {
+                me.setMessage( _('Checking on server') );
+                me.transport.lookup({
+                    done: function(response) {
+                        //file removed meanwhile
+                        if( !me.AU ) return;
+                        if( response ) {
+                            Utils.log('checkInstantUpload:::found', response.name);
+                            me.AU.triggerEvent('startFile', [me]);
+                            me._onFinishUpload(response, _('File already on server'));
+                            runner.run('yes');
+                        } else {
+                            runner.run('no');
+                        }
+                    },
+                    error: function() {
+                        if( !me.AU ) return;
+                        runner.run('no');
+                    }
+                });
+            } else {
+                setTimeout(function(){
+                    runner.run('no');
+                }, 10);
+            }
+            return runner;
+        },
+
+        /**
+         * Build a fingerprint of the file, used for identifying the same file between page loads
+         * @returns {String}
+         */
+        getFingerprint: function() {
+            return FileObject.getFingerprint(this.file, this.config);
+        },
+
+        /**
+         * Check if there is a paused or saved upload state of this file and asks the server for the confirmed offset.
+         * The runner goes to yes with currentByte and tempFileName restored if the upload can be resumed, to error
+         * with the code and the message if the server cannot tell the offset now, the state is kept
+         * @returns {SimpleRunner} a simple deferred system
+         */
+        checkResume: function() {
+            var runner  = new SimpleRunner(this);
+            var me      = this;
+            var store   = me.AU.uploadStore;
+            //the chunks sent before a pause or a connection loss can be stored or not, the server tells the offset
+            var askOffset = function(paused) {
+                me.transport.getOffset({
+                    done: function(offset) {
+                        //file removed meanwhile
+                        if( !me.AU ) return;
+                        if( offset > 0 && offset < me.size ) {
+                            Utils.log('checkResume:::resuming from', offset);
+                            me.currentByte = offset;
+                            runner.run('yes');
+                        } else {
+                            //the upload does not exist anymore on the server
+                            me.currentByte = 0;
+                            me.setTempName(null);
+                            store && store.remove(me.fingerprint);
+                            runner.run('no');
+                        }
+                    },
+                    error: function(code, msg) {
+                        if( !me.AU ) return;
+                        if( !paused ) me.setTempName(null);
+                        runner.run('error', [code, msg]);
+                    }
+                });
+            };
+
+            if( me.currentByte > 0 && me.tempFileName ) {
+                askOffset(true);
+            } else if( store ) {
+                store.get(me.fingerprint, function(state) {
+                    //file removed while reading the store
+                    if( !me.AU ) return;
+
+                    //temp file is bound to the current size, a different size means a different resize output
+                    if( !state || !state.tempFileName || state.size != me.size ) {
+                        runner.run('no');
+                        return;
+                    }
+
+                    me.setTempName(state.tempFileName);
+                    askOffset(false);
+                });
+            } else {
+                setTimeout(function(){
+                    runner.run('no');
+                }, 10);
+            }
+            return runner;
+        },
+
         /**
          * Checks if file exists, prompts the user, and start upload
          * Called by the queue manager for respecting the quotes slots
@@ -821,27 +1273,81 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             //if upload is disabled then stop
             if(me.disabled) return false;
 
-            //check if the before upload returns false, from user validation event
-            if( me.AU.triggerEvent('beforeUploadFile', [me, this.name]) !== false ) {
-                me.status = Constants.AX_CHECK;//check status
+            //check if the before upload returns false, from user validation event, it can be async
+            //the check status keeps the file out of the pending ones while waiting the listeners
+            var status = me.status;
+            var check = me.checkRun = {ask: null};
+            me.status = Constants.AX_CHECK;//check status
 
-                //check if file exists on server, this returns a deferred
-                me.checkFileExists().yes(function(){
+            //file stopped or removed while checking, the answers of this check are dropped
+            var dropped = function() {
+                return me.checkRun !== check;
+            };
 
-                    me.askUser( _('File exits on server. Override?')).yes(function(){
-                        me._upload();
-                    }).no(function(){
-                        me._onError( 'abort', _('User stop') );
-                    });
+            me.AU.triggerVeto('beforeUploadFile', [me, this.name], function(allowed) {
+                if( dropped() ) return;
+                if( !allowed ) {
+                    me.setStatus(status);
+                    me._onError('beforeUploadFile', _('beforeUploadFile::File validation failed') );
+                    return;
+                }
 
-                }).no(function(){
+                //resume a previous interrupted upload, if not check if file exists on server
+                me.checkResume().yes(function(){
+                    if( dropped() ) return;
+                    me.checkRun = null;
                     me._upload();
+                }).no(function(){
+                    if( dropped() ) return;
+
+                    //same content already on the server, nothing to upload
+                    me.checkInstantUpload().no(function(){
+                        if( dropped() ) return;
+
+                        //check if file exists on server, this returns a deferred
+                        me.checkFileExists().yes(function(){
+                            if( dropped() ) return;
+
+                            check.ask = me.askUser( _('File exits on server. Override?')).yes(function(){
+                                if( dropped() ) return;
+                                me._startTransport();
+                            }).no(function(){
+                                if( dropped() ) return;
+                                me._onError( 'abort', _('User stop') );
+                            });
+
+                        }).no(function(){
+                            if( dropped() ) return;
+                            me._startTransport();
+                        });
+                    });
+                }).error(function(code, msg){
+                    //the saved upload is kept for the next attempt
+                    if( dropped() ) return;
+                    me._onError('error', msg);
                 });
-            } else {
-                me._onError('beforeUploadFile', _('beforeUploadFile::File validation failed') );
-            }
+            });
             return me;
         },
+        /**
+         * Prepare a new upload with the transport, then upload the chunks
+         * @private
+         */
+        _startTransport: function() {
+            var me      = this;
+            var check   = me.checkRun;
+            me.transport.start({
+                done: function() {
+                    if( me.checkRun !== check ) return;
+                    me.checkRun = null;
+                    me._upload();
+                },
+                error: function(code, msg) {
+                    if( me.checkRun !== check ) return;
+                    me._onError( code === 'retry' ? 'error' : code, msg );
+                }
+            });
+        },
         /**
          * Get the params for the single to send to the URL
          * @returns {FormData}
@@ -858,6 +1364,40 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
          * Stop upload function. it reset visual information and if the upload is xhr it calls the abort
          */
         stopUpload: function() {
+            var started = (this.status == Constants.AX_UPLOADING || this.status == Constants.AX_PAUSED) && this.tempFileName;
+
+            if( this.checkRun ) {
+                //checks before the upload, the answers are dropped, the server requests and the dialog closed
+                var check = this.checkRun;
+                this.checkRun = null;
+                this.transport.abort();
+                if( check.ask ) {
+                    check.ask.run('no');
+                }
+                this._onError('aborted', _('Upload aborted'));
+            }
+
+            if( this.retryTimeout || this.throttleTimeout ) {
+                //request not sent yet, there is no xhr abort to report the stop
+                clearTimeout(this.retryTimeout);
+                clearTimeout(this.throttleTimeout);
+                this.retryTimeout = null;
+                this.throttleTimeout = null;
+                this.retryAttempt = 0;
+                this.xhr = null;
+                this._onError('aborted', _('Upload aborted'));
+            }
+
+            if( this.abortTimeout ) {
+                clearTimeout(this.abortTimeout);
+                this.abortTimeout = null;
+            }
+
+            if( this.parallel ) {
+                this._abortParallel();
+                this._onError('aborted', _('Upload aborted'));
+            }
+
             if( this.xhr!==null ) {
                 this.xhr.abort();
                 this.xhr = null;
@@ -866,8 +1406,84 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             if( this.speedInterval ) {
                 clearInterval(this.speedInterval);
             }
+
+            if( started ) {
+                this._terminate();
+            }
             return this;
         },
+        /**
+         * Delete the stopped upload on the server, if the transport supports it. Nothing is left to resume
+         * @private
+         */
+        _terminate: function() {
+            if( !this.transport.terminate ) return;
+
+            this.transport.terminate({
+                done: function() {},
+                error: function(code, msg) {
+                    Utils.log('_terminate:::failed', msg);
+                }
+            });
+            this.setTempName(null);
+            if( this.AU && this.AU.uploadStore ) {
+                this.AU.uploadStore.remove(this.fingerprint);
+            }
+        },
+        /**
+         * Pause the upload of the file. The running requests are dropped, the file keeps the last confirmed byte
+         * and frees its upload slot. A file waiting in the queue is paused before it starts
+         * @returns {FileObject}
+         */
+        pause: function() {
+            var me = this;
+            var queued = me.AU.uploadQueue.indexOf(me) >= 0;
+            if( me.status != Constants.AX_UPLOADING && !queued ) return me;
+
+            //detach the requests before abort, so the abort is not handled as a user stop
+            var xhr = me.xhr;
+            me.xhr = null;
+            if( xhr ) xhr.abort();
+            me._abortParallel();
+            me.transport.abort();
+
+            if( me.abortTimeout ) {
+                clearTimeout(me.abortTimeout);
+                me.abortTimeout = null;
+            }
+            if( me.retryTimeout ) {
+                clearTimeout(me.retryTimeout);
+                me.retryTimeout = null;
+            }
+            if( me.throttleTimeout ) {
+                clearTimeout(me.throttleTimeout);
+                me.throttleTimeout = null;
+            }
+            if( me.speedInterval ) {
+                clearInterval(me.speedInterval);
+                me.speedInterval = null;
+            }
+            me.retryAttempt = 0;
+
+            me.AU._releaseSlot(me);
+            me.setStatus( Constants.AX_PAUSED );
+            me.setProgress( Math.round(me.currentByte * 100 / me.size) );
+            me.AU.triggerEvent('pauseFile', [me, me.currentByte]);
+            return me;
+        },
+        /**
+         * Resume a paused file, it goes back in the upload queue and continues from the last confirmed byte
+         * @returns {FileObject}
+         */
+        resume: function() {
+            var me = this;
+            if( me.status != Constants.AX_PAUSED ) return me;
+
+            me.AU.triggerEvent('resumeFile', [me, me.currentByte]);
+            me.AU._queueFile(me);
+            me.setStatus( Constants.AX_READY );//this starts the queue processing
+            return me;
+        },
         /**
          * Main upload ajax html5 method, uses XMLHttpRequest object for uploading file
          * Runs in recursive mode for uploading files by chunk
@@ -881,17 +1497,41 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             var currentByte	= me.currentByte;
             var name		= me.name;
             var size		= me.size;
-            var chunkSize	= config.chunkSize;	//chunk size
+            var chunkSize	= me._getChunkSize();	//chunk size, can change during upload on adaptive mode
             var endByte		= chunkSize + currentByte;
             var isLast		= (size - endByte <= 0);
             var chunk		= file;
-            me.xhr 		    = new XMLHttpRequest();//prepare xhr for upload
+            //current request, requests replaced by a retry are not the current anymore, so their events are ignored
+            var request     = {
+                xhr: null,
+                preparing: null,    //hashes of the chunk running before the send
+                abort: function() {
+                    if( this.xhr ) {
+                        this.xhr.abort();
+                    } else if( this.preparing ) {
+                        //nothing sent yet, there is no xhr abort to report the stop
+                        this.preparing.stop();
+                        this.preparing = null;
+                        if( request === me.xhr ) {
+                            me.xhr = null;
+                            me._onError('aborted', _('Upload aborted'));
+                        }
+                    }
+                }
+            };
+            me.xhr 		    = request;
 
-            if( currentByte === 0) {
+            //first chunk or first chunk after a resume
+            if( me.status !== Constants.AX_UPLOADING ) {
                 this._onStart();
             }
-            //anti freeze check
-            me.requestStartTime		= new Date();
+
+            //once the server has created the temp file the other chunks can go in parallel
+            if( config.parallelChunks > 1 && me.transport.parallel && chunkSize > 0 && me.tempFileName && currentByte > 0 ) {
+                me.xhr = null;
+                me._uploadParallel();
+                return;
+            }
             me.abortTimeout		    = null;
 
             if(chunkSize == 0) {
@@ -907,84 +1547,584 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
                 isLast	= true;
             }
 
-            //abort event, (nothing to do for the moment)
-            me.xhr.upload.addEventListener('abort', function(e){
-                me._onError('aborted', _('Upload aborted'));
-            }, false);
+            // clear the timeout that aborts the request if it is freeze
+            var clearAbortTimeout = function() {
+                if( me.abortTimeout !== null ){
+                    clearTimeout( me.abortTimeout );
+                    me.abortTimeout = null;
+                }
+            };
 
-            //progress function, with ajax upload progress can be monitored
-            me.xhr.upload.addEventListener('progress', function(e) {
-                if ( e.lengthComputable ) {
-                    var progress = Math.round((e.loaded + currentByte) * 100 / size);
+            var handlers = {
+                //progress function, with ajax upload progress can be monitored
+                progress: function(loaded) {
+                    if( request !== me.xhr ) return;
+                    var progress = Math.round((loaded + currentByte) * 100 / size);
                     me.workProgress( _('Uploading'), progress);
-                    me.loading_bytes = e.loaded + currentByte;
-                    me.AU.progress(me, currentByte);
+                    me.loading_bytes = loaded + currentByte;
+                    me.AU.progress(me, me.loading_bytes);
+                },
+                error: function(code, msg, xhr) {
+                    if( request !== me.xhr ) return;
+                    clearAbortTimeout();
+                    if( code === 'retry' ) {
+                        me._retryChunk(xhr, msg);
+                    } else if( code === 'resync' ) {
+                        me._resync();
+                    } else {
+                        me._onError(code, msg);
+                    }
+                },
+                done: function() {
+                    if( request !== me.xhr ) return;
+                    clearAbortTimeout();
+                    me.AU.triggerEvent('chunkUpload', [file, name, chunk, request.xhr]);
+                    me.AU._networkOk();
+
+                    //calculate last request duration, to be used as timeout for next requests
+                    me.requestDuration = (new Date() - me.requestStartTime);
+                    Utils.log('Request Duration (ms): ', me.requestDuration);
+                    me._adaptChunkSize(endByte - currentByte, me.requestDuration);
+
+                    //chunk confirmed, reset the retry policy
+                    me.retryAttempt = 0;
+                    if(isLast) {
+                        me.xhr = null;
+                        me._finalize();
+                    } else {
+                        //upload the next chunk
+                        me.currentByte = endByte;
+                        me._saveState();
+                        me._upload();
+                    }
                 }
-            }, false);
-
-            me.xhr.upload.addEventListener('error', function(e) {
-                me._onError(this.responseText);
-            }, false);
-
-            me.xhr.onreadystatechange = function() {
-                if(this.readyState == 4 && this.status == 200) {
-                    me.AU.triggerEvent('chunkUpload', [file, name, chunk, me.xhr]);
-                    try {
-                        var ret	= JSON.parse( this.responseText );
-                        // get the temp name from the server
-                        // the first uploaded chunk returns also the temporary name on the server
-                        // this name will be used to upload the next chunks
-                        if(currentByte == 0) {
-                            me.setTempName( ret.temp_name );
-                        }
+            };
+
+            //wait for the bandwidth limit, if any
+            me._throttle(chunk.size, function() {
+                if( request !== me.xhr ) return;
+
+                //hashes of the chunk, on incremental md5 the last chunk waits for the file digest, it is sent with it
+                request.preparing = me._prepareChunk(chunk, isLast ? size : endByte, isLast, function(hash) {
+                    request.preparing = null;
+                    if( request !== me.xhr ) return;
 
-                        //calculate last request duration, to be used as timeout for next requests
-                        me.requestDuration = (new Date() - me.requestStartTime);
-                        Utils.log('Request Duration (ms): ', me.requestDuration);
+                    //anti freeze check
+                    me.requestStartTime = new Date();
 
-                        // clear the timeout that aborts the request if it is freeze
-                        if( me.abortTimeout !== null ){
-                            clearTimeout( me.abortTimeout );
+                    //anti freeze system: if the current request last more then the prev request per 10 times then abort it and restart
+                    if( me.requestDuration > 0 && !isLast) {
+                        //start a timeout base on the time of the prev request duration time x10
+                        me.abortTimeout = setTimeout(function(){
                             me.abortTimeout = null;
-                        }
+                            me.xhr = null;//detach the request so its abort is not seen as user abort
+                            request.abort();//abort the request
+                            me._upload();//retry upload of current chunk and resend
 
-                        if( parseInt(ret.status) === Constants.AX_ERROR ) {
-                            throw ret.info;
-                        } else if(isLast) {
-                            //exec finish event of the file
-                            me._onFinishUpload(ret);
-                        } else {
-                            //upload the next chunk
-                            me.currentByte = endByte;
-                            me._upload();
-                        }
-                    } catch(err) {
-                        me._onError( 'server_error', err.toString() );
+                        }, (me.requestDuration * 10) );
                     }
-                } else if(this.status == 404) {
-                    me._onError( 'server_error', '_upload::URL not found 404. Be sure to point to the correct upload.php.' );
+
+                    request.xhr = me.transport.sendChunk(chunk, {
+                        start:      currentByte,
+                        end:        isLast ? size : endByte,
+                        isLast:     isLast,
+                        parallel:   false,
+                        hash:       hash
+                    }, handlers);
+                });
+            });
+        },
+        /**
+         * Chunk size to use for the next chunk. With a bandwidth limit a chunk is not bigger than one second of
+         * upload, so the pacing stays smooth
+         * @returns {Number}
+         * @private
+         */
+        _getChunkSize: function() {
+            var limit   = this.config.maxBandwidth;
+            var size    = this.chunkSize;
+            if( limit > 0 ) {
+                size = size > 0 ? Math.min(size, limit) : limit;
+            }
+            //the transport can require a minimum size, for example the 5MB parts of S3
+            if( size > 0 && size < this.transport.minChunkSize ) {
+                size = this.transport.minChunkSize;
+            }
+            return size;
+        },
+        /**
+         * Run the send function when the uploader bandwidth limit allows the bytes to go
+         * @param {Number} bytes size of the request
+         * @param {Function} send function that sends the request
+         * @private
+         */
+        _throttle: function(bytes, send) {
+            var me      = this;
+            var delay   = me.AU._reserveBandwidth(bytes);
+            if( delay > 0 ) {
+                me.throttleTimeout = setTimeout(function() {
+                    me.throttleTimeout = null;
+                    send();
+                }, delay);
+            } else {
+                send();
+            }
+        },
+        /**
+         * Upload the remaining chunks of the file with more requests in flight at the same time.
+         * The first chunk is always sent alone by _upload, it creates the temp file on the server. The other chunks
+         * are stored by the server in parts and assembled by start byte on the finalize request
+         * @private
+         */
+        _uploadParallel: function() {
+            var me          = this;
+            var size        = me.size;
+            var chunkSize   = me._getChunkSize();
+
+            if( !me.parallel ) {
+                me.parallel = {
+                    nextByte:   me.currentByte, //next byte to dispatch
+                    inFlight:   {},             //running requests indexed by start byte
+                    count:      0,              //number of running requests
+                    done:       {},             //confirmed chunks not yet contiguous, start byte => end byte
+                    doneBytes:  0,              //bytes confirmed after currentByte
+                    attempts:   {}              //failed attempts per start byte
+                };
+            }
+            var state = me.parallel;
+
+            while( state.count < me.config.parallelChunks && state.nextByte < size ) {
+                var start = state.nextByte;
+                var end   = Math.min(start + chunkSize, size);
+                state.nextByte = end;
+                me._sendParallelChunk(start, end);
+            }
+
+            //all chunks confirmed, ask the server to assemble the file
+            if( state.count === 0 && me.currentByte >= size ) {
+                me._finalize();
+            }
+        },
+        /**
+         * Send a single chunk of the parallel upload
+         * @param {Number} start start byte of the chunk
+         * @param {Number} end end byte of the chunk
+         * @private
+         */
+        _sendParallelChunk: function(start, end) {
+            var me      = this;
+            var state   = me.parallel;
+            var chunk   = Utils.sliceFile(me.file, start, end);
+            var request = {xhr: null, loaded: 0, startTime: null, timeout: null, hasher: null};
+            me._hashUntil(end);
+
+            state.inFlight[start] = request;
+            state.count++;
+
+            //requests of an aborted upload or replaced by a retry are ignored
+            var isCurrent = function() {
+                return me.parallel === state && state.inFlight[start] === request;
+            };
+
+            var handlers = {
+                progress: function(loaded) {
+                    if( !isCurrent() ) return;
+                    request.loaded = loaded;
+                    me._parallelProgress();
+                },
+                error: function(code, msg, xhr) {
+                    if( !isCurrent() ) return;
+                    if( code === 'retry' ) {
+                        me._retryParallelChunk(start, end, xhr, msg);
+                    } else {
+                        me._failParallel(code, msg);
+                    }
+                },
+                done: function() {
+                    if( !isCurrent() ) return;
+
+                    me.AU.triggerEvent('chunkUpload', [me.file, me.name, chunk, request.xhr]);
+                    me.AU._networkOk();
+                    me._adaptChunkSize(end - start, new Date() - request.startTime);
+                    delete state.inFlight[start];
+                    delete state.attempts[start];
+                    state.count--;
+                    state.done[start] = end;
+                    state.doneBytes += end - start;
+
+                    //move the confirmed offset on the contiguous chunks
+                    while( state.done[me.currentByte] !== undefined ) {
+                        var next = state.done[me.currentByte];
+                        delete state.done[me.currentByte];
+                        state.doneBytes -= next - me.currentByte;
+                        me.currentByte = next;
+                    }
+                    me._saveState();
+                    me._parallelProgress();
+                    me._uploadParallel();
                 }
             };
 
-            //anti freeze system: if the current request last more then the prev request per 10 times then abort it and restart
-            if( me.requestDuration > 0 && !isLast) {
-                //start a timeout base on the time of the prev request duration time x10
-                me.abortTimeout = setTimeout(function(){
-                    me.xhr.abort();//abort the request
-                    me._upload();//retry upload of current chunk and resend
+            var send = function() {
+                request.timeout = null;
+                request.hasher = me._chunkHash(chunk, function(hash) {
+                    request.hasher = null;
+                    if( !isCurrent() ) return;
+                    request.startTime = new Date();
+                    request.xhr = me.transport.sendChunk(chunk, {
+                        start:      start,
+                        end:        end,
+                        isLast:     end >= me.size,
+                        parallel:   true,
+                        hash:       hash
+                    }, handlers);
+                });
+            };
 
-                }, (me.requestDuration * 10) );
+            //wait for the bandwidth limit, if any
+            var delay = me.AU._reserveBandwidth(end - start);
+            if( delay > 0 ) {
+                request.timeout = setTimeout(send, delay);
+            } else {
+                send();
             }
+        },
+        /**
+         * Retry a failed chunk of the parallel upload following the retry policy
+         * @param {Number} start start byte of the chunk
+         * @param {Number} end end byte of the chunk
+         * @param {XMLHttpRequest|null} xhr the failed request, null if it has no answer
+         * @param {String} reason human readable reason of the failure
+         * @private
+         */
+        _retryParallelChunk: function(start, end, xhr, reason) {
+            var me      = this;
+            var state   = me.parallel;
+            var attempt = (state.attempts[start] || 0) + 1;
 
-            //some parameters are mandatory for correct file upload
-            var params = this.getParams();
-            params.append('ax_file_input', chunk);
-            params.append('ax-start-byte', me.currentByte);
-            params.append('ax-file-md5', me.md5);
+            //no answer from the server, it can be the connection down. Offline suspends the file
+            if( (!xhr || !xhr.status) && me.AU._networkError() ) {
+                return;
+            }
+
+            if( attempt > me.config.retry.maxAttempts ) {
+                me._failParallel('error', reason);
+                return;
+            }
 
-            //set some optional custom headers
-            me.xhr.open('POST', config.url, config.async);
-            me.xhr.send(params);
+            state.attempts[start] = attempt;
+            var delay = me._getRetryDelay(xhr, attempt);
+            me.AU.triggerEvent('chunkRetry', [me, attempt, delay, xhr ? xhr.status : 0, reason]);
+
+            //keep the slot of the chunk busy while waiting
+            state.inFlight[start] = {
+                xhr: null,
+                loaded: 0,
+                timeout: setTimeout(function() {
+                    delete state.inFlight[start];
+                    state.count--;
+                    me._sendParallelChunk(start, end);
+                }, delay)
+            };
+            me._parallelProgress();
+        },
+        /**
+         * Stop all the requests of the parallel upload
+         * @private
+         */
+        _abortParallel: function() {
+            var state = this.parallel;
+            if( !state ) return;
+            this.parallel = null;
+            for( var start in state.inFlight ) {
+                if( state.inFlight.hasOwnProperty(start) ) {
+                    var request = state.inFlight[start];
+                    if( request.timeout ) clearTimeout(request.timeout);
+                    if( request.hasher ) request.hasher.stop();
+                    if( request.xhr ) request.xhr.abort();
+                }
+            }
+        },
+        /**
+         * Stop the parallel upload and fail the file
+         * @param err error code as string
+         * @param msg Human error messages
+         * @private
+         */
+        _failParallel: function(err, msg) {
+            this._abortParallel();
+            this._onError(err, msg);
+        },
+        /**
+         * Update the file progress with the confirmed bytes plus the bytes of the running chunks
+         * @private
+         */
+        _parallelProgress: function() {
+            var state = this.parallel;
+            var bytes = this.currentByte + state.doneBytes;
+            for( var start in state.inFlight ) {
+                if( state.inFlight.hasOwnProperty(start) ) {
+                    bytes += state.inFlight[start].loaded;
+                }
+            }
+            this.loading_bytes = bytes;
+            this.workProgress( _('Uploading'), Math.round(bytes * 100 / this.size) );
+            this.AU.progress(this, bytes);
+        },
+        /**
+         * Complete the upload with the transport, all the chunks have been confirmed
+         * @private
+         */
+        _finalize: function() {
+            var me      = this;
+            var request = {
+                abort: function() {
+                    me.transport.abort();
+                }
+            };
+            me.parallel = null;
+            me.xhr = request;
+
+            me.setMessage( _('Finalizing') );
+            me._hashUntil(me.size, true, function() {
+                if( request !== me.xhr ) return;
+                me.transport.finalize({
+                    done: function(ret) {
+                        if( request !== me.xhr ) return;
+                        me.xhr = null;
+                        me._onFinishUpload(ret);
+                    },
+                    error: function(code, msg) {
+                        if( request !== me.xhr ) return;
+                        me.xhr = null;
+                        me._onError( code === 'retry' ? 'error' : code, msg );
+                    }
+                });
+            });
+        },
+        /**
+         * Hashes before sending a chunk: the incremental file hash and the chunk digest
+         * @param {Blob} chunk the chunk to send
+         * @param {Number} end end byte of the chunk
+         * @param {boolean} isLast last chunk, completes the file hash
+         * @param {Function} callback receives the chunk digest
+         * @returns {{stop: Function}} the callback does not run after stop
+         * @private
+         */
+        _prepareChunk: function(chunk, end, isLast, callback) {
+            var me      = this;
+            var step    = {
+                stopped: false,
+                hasher: null,
+                stop: function() {
+                    this.stopped = true;
+                    if( this.hasher ) this.hasher.stop();
+                }
+            };
+            me._hashUntil(end, isLast, function() {
+                if( step.stopped ) return;
+                step.hasher = me._chunkHash(chunk, function(hash) {
+                    step.hasher = null;
+                    if( !step.stopped ) callback(hash);
+                });
+            });
+            return step;
+        },
+        /**
+         * Digest of a chunk for the server check, with the chunkHash option. The callback receives {algorithm, value}
+         * or null if the option is disabled or the hash failed
+         * @param {Blob} chunk
+         * @param {Function} callback
+         * @returns {FileHash|null} the running hash, to stop it, null if the callback has already run
+         * @private
+         */
+        _chunkHash: function(chunk, callback) {
+            var algorithm = this.config.chunkHash && typeof FileHash !== 'undefined' && Constants.HASH_ON ?
+                FileHash.filter(this.config.chunkHash)[0] : null;
+            if( !algorithm ) {
+                callback(null);
+                return null;
+            }
+
+            var hashApp = new FileHash(chunk, [algorithm]);
+            if( !hashApp.hashWorker ) {
+                callback(null);
+                return null;
+            }
+            return hashApp.done(function(hashes) {
+                callback({algorithm: algorithm, value: hashes[algorithm]});
+            }).error(function() {
+                callback(null);
+            }).start();
+        },
+        /**
+         * Incremental hash: add the file bytes until the end byte to the hashes. With digest the callback runs when the
+         * hashes are ready. Without md5Mode incremental the callback runs immediately
+         * @param {Number} end end byte
+         * @param {boolean} [digest] complete the hash
+         * @param {Function} [callback]
+         * @private
+         */
+        _hashUntil: function(end, digest, callback) {
+            var me = this;
+            callback = callback || function() {};
+            if( !me.md5Incremental || (!me.md5Hasher && Object.keys(me.hashes).length) ) {
+                callback();
+                return;
+            }
+            if( !me.md5Hasher ) {
+                if( !me.hashAlgorithms.length || me.hashAlgorithms.indexOf('md5') >= 0 ) {
+                    me.AU.triggerEvent('md5Start', [me]);
+                }
+                me.md5Hasher = me.hashAlgorithms.length ? new FileHash.Incremental(me.file, me.hashAlgorithms) :
+                    new FileMd5.Incremental(me.file);
+            }
+            me.md5Hasher.update(end);
+            if( !digest ) {
+                callback();
+                return;
+            }
+            me.md5Hasher.digest(function(result) {
+                me.md5Hasher = null;
+                if( result ) {
+                    me._setHashes( typeof result == 'string' ? {md5: result} : result );
+                } else {
+                    //worker not available, upload without hashes
+                    me.md5Incremental = false;
+                }
+                callback();
+            });
+        },
+        /**
+         * Adaptive chunk size: move the chunk size of the file toward the size that takes the target duration
+         * to upload, measured on the last chunk. Changes are limited to half/double per chunk to avoid jumps
+         * @param {Number} bytes size of the uploaded chunk
+         * @param {Number} duration milliseconds taken by the chunk request
+         * @private
+         */
+        _adaptChunkSize: function(bytes, duration) {
+            var opts = this.config.adaptiveChunk;
+            if( !opts.enable || this.chunkSize <= 0 || duration <= 0 ) return;
+
+            //last chunk is usually smaller, it does not tell much about the speed
+            if( bytes < this.chunkSize ) return;
+
+            var factor  = Math.min(2, Math.max(0.5, opts.targetDuration / duration));
+            var minSize = Utils.parseSize(opts.minSize);
+            var maxSize = Utils.parseSize(opts.maxSize);
+            this.chunkSize = Math.round(Math.min(maxSize, Math.max(minSize, this.chunkSize * factor)));
+            Utils.log('_adaptChunkSize:::new chunk size', this.chunkSize);
+        },
+        /**
+         * Retry the current chunk following the retry policy, fails the file when the policy gives up
+         * @param {XMLHttpRequest|null} xhr the failed request, null if it has no answer
+         * @param {String} reason human readable reason of the failure
+         * @private
+         */
+        _retryChunk: function(xhr, reason) {
+            var me      = this;
+            var policy  = me.config.retry;
+
+            if( me.abortTimeout !== null ) {
+                clearTimeout(me.abortTimeout);
+                me.abortTimeout = null;
+            }
+            me.xhr = null;
+
+            //no answer from the server, it can be the connection down. Offline suspends the file
+            if( !xhr || !xhr.status ) {
+                if( me.AU._networkError() ) return;
+            }
+
+            if( me.retryAttempt >= policy.maxAttempts ) {
+                me.retryAttempt = 0;
+                me._onError('error', reason);
+                return;
+            }
+
+            me.retryAttempt++;
+            var delay = me._getRetryDelay(xhr, me.retryAttempt);
+            Utils.log('_retryChunk:::attempt', me.retryAttempt, 'in', delay, reason);
+
+            me.setMessage( _('Retrying') + ' (' + me.retryAttempt + '/' + policy.maxAttempts + ')' );
+            me.AU.triggerEvent('chunkRetry', [me, me.retryAttempt, delay, xhr ? xhr.status : 0, reason]);
+
+            me.retryTimeout = setTimeout(function(){
+                me.retryTimeout = null;
+                me._upload();
+            }, delay);
+        },
+        /**
+         * The server has another offset of the upload than the start byte of the chunk, for example after a chunk
+         * lost by the server. Ask the confirmed offset and continue the upload from it
+         * @private
+         */
+        _resync: function() {
+            var me      = this;
+            var request = {
+                abort: function() {
+                    //the answer of the offset request is ignored once detached, the stop is reported here
+                    var current = request === me.xhr;
+                    if( current ) me.xhr = null;
+                    me.transport.abort();
+                    if( current ) me._onError('aborted', _('Upload aborted'));
+                }
+            };
+            me.xhr = request;
+
+            me.transport.getOffset({
+                done: function(offset) {
+                    if( request !== me.xhr ) return;
+                    Utils.log('_resync:::continue from', offset);
+                    me.xhr = null;
+                    me.currentByte = offset < me.size ? offset : 0;
+                    me._saveState();
+                    me._upload();
+                },
+                error: function(code, msg) {
+                    if( request !== me.xhr ) return;
+                    me.xhr = null;
+                    me._onError( code === 'retry' ? 'error' : code, msg );
+                }
+            });
+        },
+        /**
+         * Calculate the wait before the next attempt: Retry-After header if the server sends it, otherwise
+         * exponential backoff with full jitter
+         * @param {XMLHttpRequest|null} xhr the failed request
+         * @param {Number} attempt the attempt number starting from 1
+         * @returns {Number} milliseconds to wait
+         * @private
+         */
+        _getRetryDelay: function(xhr, attempt) {
+            var policy = this.config.retry;
+            //no xhr when the request never started, for example a failed sign request of the transport
+            var retryAfter = xhr && xhr.status ? xhr.getResponseHeader('Retry-After') : null;
+
+            if( policy.respectRetryAfter && retryAfter ) {
+                //Retry-After can be either seconds or a HTTP date
+                var seconds = parseInt(retryAfter, 10);
+                var wait = isNaN(seconds) ? new Date(retryAfter).getTime() - new Date().getTime() : seconds * 1000;
+                if( !isNaN(wait) ) {
+                    return Math.min(Math.max(wait, 0), policy.maxDelay);
+                }
+            }
+
+            var delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+            return policy.jitter ? Math.round(Math.random() * delay) : delay;
+        },
+        /**
+         * Save the confirmed upload state in the upload store, if resumable uploads are enabled
+         * @private
+         */
+        _saveState: function() {
+            if( this.AU.uploadStore ) {
+                this.AU.uploadStore.save(this.fingerprint, {
+                    tempFileName:   this.tempFileName,
+                    currentByte:    this.currentByte,
+                    size:           this.size
+                });
+            }
         },
         /**
          * Internal callback running on upload start
@@ -995,8 +2135,9 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             var me = this;
             //progress notify
             me.workProgress( _('Upload started'), 0);
-            me.loading_bytes = 0;
-            me.AU.progress(this, 0);
+            me.loading_bytes = me.currentByte;
+            me.temp_bytes = me.currentByte;
+            me.AU.progress(this, me.currentByte);
 
             //trigger the start event
             me.AU.triggerEvent('startFile', [this]);
@@ -1027,6 +2168,11 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
             me.setMessage( msg )
                 .setInfo(err);
 
+            var error   = new Error(msg);
+            error.code  = err;
+            error.file  = me;
+            me._settleUpload(error);
+
             if(err == 'aborted') {
                 me.setStatus( Constants.AX_READY ); //set status to idle
             } else if(err == 'error') {
@@ -1042,23 +2188,30 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
 
         /**
          * Function that runs on upload end
-         * @param name return file name from the server
-         * @param size return file size, for old browsers only
-         * @param status the status of upload
-         * @param info any other user information
+         * @param json the server response: name, status, info, more, checkSum
+         * @param [msg] message to show, File uploaded by default
          * @private
          */
-        _onFinishUpload : function(json) {
+        _onFinishUpload : function(json, msg) {
             var me = this;
             //update file information
             me.setName(json.name)
                 .setStatus(json.status)
                 .setInfo(json.info)
                 .setExtraInfo(json.more)
-                .setMessage( _('File uploaded') );//update view information
+                .setMessage( msg || _('File uploaded') );//update view information
 
             me.checkSum = json.checkSum;
+            me.response = json;
+
+            me.AU.progress(me, me.size);
 
+            //upload is complete, nothing to resume anymore
+            if( me.AU.uploadStore ) {
+                me.AU.uploadStore.remove(me.fingerprint);
+            }
+
+            me._settleUpload(null, json);
             me._onComplete();
 
             //remove on success option
@@ -1075,8 +2228,18 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
         _onComplete: function() {
             var me = this;
             //to be done always
+            me.checkRun = null;     //the checks before the upload are over
             me.currentByte = 0; 	//reset current byte
             me.setProgress(0);        //reset progress bar
+            if( me.status != Constants.AX_DONE ) {
+                me.uploadedBytes = 0;
+            }
+
+            //a new upload starts from the first byte, so the hash too
+            if( me.md5Hasher ) {
+                me.md5Hasher.stop();
+                me.md5Hasher = null;
+            }
 
             //remove interval speed updater
             if( this.speedInterval ) {
@@ -1091,5 +2254,16 @@ function (Constants, Utils, SimpleRunner, _, FileMd5, ExifReader, ImageScale) {
         }
     };
 
+    /**
+     * Build the fingerprint of a DOM file: name, size and last modified date. Used also before the file object exists,
+     * for the duplicates check
+     * @param {File} file
+     * @param {Object} config uploader configuration
+     * @returns {String}
+     */
+    FileObject.getFingerprint = function(file, config) {
+        return ['ax', file.name, file.size, file.lastModified || '', config.url].join('|');
+    };
+
     return FileObject;
 });
@@ -0,0 +1,231 @@
+/**
+ * @file File type detection
+ * Detects the real type of a file from the magic bytes at its start, the name and the browser type are not trusted
+ * @author Alban Xhaferllari
+ * @version 1.0
+ */
+define(['Utils'], /** @lends FileType */ function(Utils) {
+    'use strict';
+
+    var HEAD_SIZE = 4100;   //bytes read from the file start, enough for the zip entries names and the tar header
+
+    /**
+     * Known types, the first matching signature wins. The first extension is the canonical one, the others are
+     * the extensions accepted for the same content
+     * @type {Array}
+     */
+    var TYPES = [
+        {ext: ['jpg', 'jpeg', 'jpe', 'jfif'], mime: 'image/jpeg',       sign: [[0, [0xFF, 0xD8, 0xFF]]]},
+        {ext: ['png'],                      mime: 'image/png',          sign: [[0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]]]},
+        {ext: ['gif'],                      mime: 'image/gif',          sign: [[0, 'GIF8']]},
+        {ext: ['webp'],                     mime: 'image/webp',         sign: [[0, 'RIFF'], [8, 'WEBP']]},
+        {ext: ['bmp'],                      mime: 'image/bmp',          sign: [[0, 'BM'], [6, [0x00, 0x00, 0x00, 0x00]]]},
+        {ext: ['tif', 'tiff'],              mime: 'image/tiff',         sign: [[0, [0x49, 0x49, 0x2A, 0x00]]]},
+        {ext: ['tif', 'tiff'],              mime: 'image/tiff',         sign: [[0, [0x4D, 0x4D, 0x00, 0x2A]]]},
+        {ext: ['ico'],                      mime: 'image/x-icon',       sign: [[0, [0x00, 0x00, 0x01, 0x00]]]},
+        {ext: ['psd'],                      mime: 'image/vnd.adobe.photoshop', sign: [[0, '8BPS']]},
+        {ext: ['pdf'],                      mime: 'application/pdf',    sign: [[0, '%PDF-']]},
+        {ext: ['wav'],                      mime: 'audio/wav',          sign: [[0, 'RIFF'], [8, 'WAVE']]},
+        {ext: ['avi'],                      mime: 'video/x-msvideo',    sign: [[0, 'RIFF'], [8, 'AVI ']]},
+        {ext: ['mp3'],                      mime: 'audio/mpeg',         sign: [[0, 'ID3']]},
+        {ext: ['ogg', 'oga', 'ogv', 'opus'], mime: 'audio/ogg',         sign: [[0, 'OggS']]},
+        {ext: ['flac'],                     mime: 'audio/flac',         sign: [[0, 'fLaC']]},
+        {ext: ['webm', 'mkv'],              mime: 'video/webm',         sign: [[0, [0x1A, 0x45, 0xDF, 0xA3]]]},
+        //the zip based formats are found by the entries, see ZIP_TYPES. A plain zip can be any of them
+        {ext: ['zip'],                      mime: 'application/zip',    sign: [[0, [0x50, 0x4B, 0x03, 0x04]]]},
+        {ext: ['gz', 'tgz'],                mime: 'application/gzip',   sign: [[0, [0x1F, 0x8B, 0x08]]]},
+        {ext: ['7z'],                       mime: 'application/x-7z-compressed', sign: [[0, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]]]},
+        {ext: ['rar'],                      mime: 'application/vnd.rar', sign: [[0, 'Rar!']]},
+        {ext: ['tar'],                      mime: 'application/x-tar',  sign: [[257, 'ustar']]},
+        {ext: ['woff'],                     mime: 'font/woff',          sign: [[0, 'wOFF']]},
+        {ext: ['woff2'],                    mime: 'font/woff2',         sign: [[0, 'wOF2']]},
+        {ext: ['exe', 'dll', 'com', 'scr', 'sys'], mime: 'application/x-msdownload', sign: [[0, 'MZ']]},
+        {ext: ['elf', 'so'],                mime: 'application/x-executable', sign: [[0, [0x7F, 0x45, 0x4C, 0x46]]]},
+        {ext: ['class'],                    mime: 'application/java-vm', sign: [[0, [0xCA, 0xFE, 0xBA, 0xBE]]]},
+        {ext: ['sqlite', 'sqlite3'],        mime: 'application/vnd.sqlite3', sign: [[0, 'SQLite format 3']]},
+        //ISO base media files, the brand gives the type, see FTYP_BRANDS. The generic brands are used by all of them
+        {ext: ['mp4', 'm4v', 'm4a', 'mov', '3gp'], mime: 'video/mp4', sign: [[4, 'ftyp']]}
+    ];
+
+    /**
+     * Brands of the ftyp box that are not mp4 video
+     * @type {Object}
+     */
+    var FTYP_BRANDS = {
+        'qt  ': {ext: ['mov', 'qt'],        mime: 'video/quicktime'},
+        'M4A ': {ext: ['m4a'],              mime: 'audio/mp4'},
+        'M4B ': {ext: ['m4b'],              mime: 'audio/mp4'},
+        '3gp4': {ext: ['3gp'],              mime: 'video/3gpp'},
+        '3gp5': {ext: ['3gp'],              mime: 'video/3gpp'},
+        '3g2a': {ext: ['3g2'],              mime: 'video/3gpp2'},
+        'heic': {ext: ['heic'],             mime: 'image/heic'},
+        'heix': {ext: ['heic'],             mime: 'image/heic'},
+        'mif1': {ext: ['heic', 'heif'],     mime: 'image/heif'},
+        'avif': {ext: ['avif'],             mime: 'image/avif'}
+    };
+
+    /**
+     * Zip based formats, found by the name of the first entries: OOXML documents, OpenDocument and epub have a
+     * stored mimetype entry
+     * @type {Array}
+     */
+    var ZIP_TYPES = [
+        {entry: 'word/',                    ext: ['docx', 'docm'],  mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'},
+        {entry: 'xl/',                      ext: ['xlsx', 'xlsm'],  mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'},
+        {entry: 'ppt/',                     ext: ['pptx', 'pptm'],  mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'},
+        {entry: 'mimetypeapplication/vnd.oasis.opendocument.text',          ext: ['odt'], mime: 'application/vnd.oasis.opendocument.text'},
+        {entry: 'mimetypeapplication/vnd.oasis.opendocument.spreadsheet',   ext: ['ods'], mime: 'application/vnd.oasis.opendocument.spreadsheet'},
+        {entry: 'mimetypeapplication/vnd.oasis.opendocument.presentation',  ext: ['odp'], mime: 'application/vnd.oasis.opendocument.presentation'},
+        {entry: 'mimetypeapplication/epub+zip',                             ext: ['epub'], mime: 'application/epub+zip'},
+        {entry: 'META-INF/MANIFEST.MF',     ext: ['jar', 'war'],    mime: 'application/java-archive'},
+        {entry: 'AndroidManifest.xml',      ext: ['apk'],           mime: 'application/vnd.android.package-archive'}
+    ];
+
+    /**
+     * Compare the bytes at the offset with a signature, as byte list or ascii string
+     * @param {Uint8Array} bytes
+     * @param {Number} offset
+     * @param {Array|String} sign
+     * @returns {boolean}
+     */
+    var matchBytes = function(bytes, offset, sign) {
+        if( bytes.length < offset + sign.length ) return false;
+        for( var i = 0; i < sign.length; i++ ) {
+            var value = typeof sign == 'string' ? sign.charCodeAt(i) : sign[i];
+            if( bytes[offset + i] !== value ) return false;
+        }
+        return true;
+    };
+
+    /**
+     * Ascii text of the bytes
+     * @param {Uint8Array} bytes
+     * @param {Number} start
+     * @param {Number} end
+     * @returns {String}
+     */
+    var toText = function(bytes, start, end) {
+        var text = '';
+        for( var i = start; i < Math.min(end, bytes.length); i++ ) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    };
+
+    /**
+     * Names of the zip entries in the bytes, reading the local file headers one after the other. An OpenDocument
+     * mimetype entry is followed by its stored content
+     * @param {Uint8Array} bytes
+     * @returns {Array}
+     */
+    var zipEntries = function(bytes) {
+        var names   = [];
+        var offset  = 0;
+        while( matchBytes(bytes, offset, [0x50, 0x4B, 0x03, 0x04]) && offset + 30 <= bytes.length ) {
+            var compressed  = bytes[offset + 18] | bytes[offset + 19] << 8 | bytes[offset + 20] << 16 | bytes[offset + 21] << 24;
+            var nameLength  = bytes[offset + 26] | bytes[offset + 27] << 8;
+            var extraLength = bytes[offset + 28] | bytes[offset + 29] << 8;
+            var start       = offset + 30 + nameLength + extraLength;
+            var name        = toText(bytes, offset + 30, offset + 30 + nameLength);
+            names.push(name == 'mimetype' ? name + toText(bytes, start, start + compressed) : name);
+
+            //sizes in the data descriptor, the next header cannot be found
+            if( bytes[offset + 6] & 0x08 ) break;
+            offset = start + (compressed >>> 0);
+        }
+        return names;
+    };
+
+    /**
+     * Build the detected type
+     * @param {Object} type
+     * @returns {{ext: String, mime: String, extensions: Array}}
+     */
+    var result = function(type) {
+        return {ext: type.ext[0], mime: type.mime, extensions: type.ext.slice()};
+    };
+
+    var FileType = {
+        /**
+         * Detect the type from the first bytes of a file
+         * @param {Uint8Array} bytes
+         * @returns {{ext: String, mime: String, extensions: Array}|null} null if the type is unknown
+         */
+        fromBytes: function(bytes) {
+            for( var i = 0; i < TYPES.length; i++ ) {
+                var type    = TYPES[i];
+                var match   = true;
+                for( var j = 0; j < type.sign.length && match; j++ ) {
+                    match = matchBytes(bytes, type.sign[j][0], type.sign[j][1]);
+                }
+                if( !match ) continue;
+
+                if( type.mime == 'video/mp4' ) {
+                    var brand = toText(bytes, 8, 12);
+                    return result(FTYP_BRANDS[brand] || type);
+                }
+                if( type.mime == 'application/zip' ) {
+                    var entries = zipEntries(bytes);
+                    for( var k = 0; k < ZIP_TYPES.length; k++ ) {
+                        for( var n = 0; n < entries.length; n++ ) {
+                            if( entries[n].indexOf(ZIP_TYPES[k].entry) === 0 ) {
+                                return result(ZIP_TYPES[k]);
+                            }
+                        }
+                    }
+                    var zip = result(type);
+                    for( var z = 0; z < ZIP_TYPES.length; z++ ) {
+                        zip.extensions = zip.extensions.concat(ZIP_TYPES[z].ext);
+                    }
+                    return zip;
+                }
+                return result(type);
+            }
+
+            //mp3 frames without the ID3 tag
+            if( bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0 && (bytes[1] & 0x06) !== 0 ) {
+                return result({ext: ['mp3'], mime: 'audio/mpeg'});
+            }
+            return null;
+        },
+        /**
+         * Read the first bytes of the file and detect its type
+         * @param {Blob} file
+         * @param {Function} callback receives the detected type, null if unknown, and true as second parameter if
+         * the file cannot be read
+         * @param {Object} [ctx] context of the callback
+         */
+        detect: function(file, callback, ctx) {
+            if( typeof FileReader === 'undefined' || typeof Uint8Array === 'undefined' ) {
+                callback.call(ctx, null, true);
+                return;
+            }
+            var reader = new FileReader();
+            reader.onload = function() {
+                callback.call(ctx, FileType.fromBytes(new Uint8Array(reader.result)), false);
+            };
+            reader.onerror = function() {
+                Utils.log('FileType:::read error', reader.error);
+                callback.call(ctx, null, true);
+            };
+            reader.readAsArrayBuffer(file.slice(0, HEAD_SIZE));
+        },
+        /**
+         * Check if the extension belongs to a type that can be detected
+         * @param {String} ext
+         * @returns {boolean}
+         */
+        isKnownExtension: function(ext) {
+            var lists = TYPES.concat(ZIP_TYPES);
+            for( var brand in FTYP_BRANDS ) {
+                if( FTYP_BRANDS.hasOwnProperty(brand) ) lists.push(FTYP_BRANDS[brand]);
+            }
+            for( var i = 0; i < lists.length; i++ ) {
+                if( lists[i].ext.indexOf(ext) >= 0 ) return true;
+            }
+            return false;
+        }
+    };
+
+    return FileType;
+});
@@ -0,0 +1,282 @@
+/**
+ * @file File validation pipeline
+ * Ordered list of sync or async rules that a file must pass before the other file operations and the upload
+ * @author Alban Xhaferllari
+ * @version 1.0
+ */
+define(['Utils', 'i18n', 'FileType'], /** @lends FileValidator */ function(Utils, _, FileType) {
+    'use strict';
+
+    /**
+     * Check a MIME type against a list of types, with the image/* wildcard form
+     * @param {String} type
+     * @param {Array} list
+     * @returns {boolean}
+     */
+    var matchType = function(type, list) {
+        type = (type || '').toLowerCase();
+        for( var i = 0; i < list.length; i++ ) {
+            var allowed = String(list[i]).toLowerCase();
+            if( allowed === type || (allowed.slice(-2) === '/*' && type.indexOf(allowed.slice(0, -1)) === 0) ) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    /**
+     * Built-in sync rules, in run order. They run on file add before the file object is created, see check.
+     * A rule receives the file, or an object with the same name, size, ext, file, config and AU properties, and returns
+     * nothing if the file is valid, otherwise the error {error, message, param}
+     * @type {Array}
+     */
+    var SYNC_RULES = [
+        //allowed extensions
+        function(file) {
+            var list = file.config.allowedExtensions;
+            if( list.length && list.indexOf(file.ext) < 0 ) {
+                return {error: 'ALLOW_EXTENSION', message: _('Extension not allowed'), param: file.ext};
+            }
+        },
+        //allowed MIME types
+        function(file) {
+            var list = file.config.allowedTypes;
+            if( list.length && !matchType(file.file.type, list) ) {
+                return {error: 'MIME_TYPE', message: _('File type not allowed'), param: file.file.type};
+            }
+        },
+        //minimum size
+        function(file) {
+            if( file.size < file.config.minFileSize ) {
+                return {error: 'MIN_FILE_SIZE', message: _('File too small'), param: file.size};
+            }
+        },
+        //maximum size
+        function(file) {
+            if( file.size > file.config.maxFileSize ) {
+                return {error: 'FILE_SIZE', message: _('File size now allowed'), param: file.size};
+            }
+        },
+        //legacy validateFile option, returns the error message, any falsy value is valid
+        function(file) {
+            var validate = file.config.validateFile;
+            var message = typeof validate === 'function' ? validate.call(file.AU, file.name, file.ext, file.size) : null;
+            if( message ) {
+                return {error: 'USER_ERROR', message: message, param: ''};
+            }
+        }
+    ];
+
+    /**
+     * Built-in rules of the file object pipeline, in run order. They return the same values of the sync rules or a
+     * Promise of them, and return nothing immediately when their option is not set
+     * @type {Array}
+     */
+    var RULES = [
+        //real type from the first bytes, with contentCheck it must match the extension and the accept list
+        function(file) {
+            if( !file.config.contentCheck ) {
+                return;
+            }
+            return new Promise(function(resolve) {
+                FileType.detect(file.file, function(type, failed) {
+                    file.detectedType = type;
+                    if( file.config.contentCheck === 'detect' || failed ) {
+                        resolve();
+                        return;
+                    }
+
+                    //an unknown content is a mismatch only for the extensions of the known types
+                    var valid = type ? type.extensions.indexOf(file.ext) >= 0 : !FileType.isKnownExtension(file.ext);
+                    var accept = (file.config.accept ? file.config.accept.split(',') : []).concat(file.config.allowedTypes);
+                    if( valid && type && accept.length ) {
+                        valid = false;
+                        for( var i = 0; i < accept.length && !valid; i++ ) {
+                            var item = String(accept[i]).trim().toLowerCase();
+                            valid = item.charAt(0) == '.' ? type.extensions.indexOf(item.substr(1)) >= 0 : matchType(type.mime, [item]);
+                        }
+                    }
+                    resolve(valid ? null : {
+                        error:      'CONTENT_MISMATCH',
+                        message:    _('File content does not match its type'),
+                        param:      type ? type.mime : ''
+                    });
+                });
+            });
+        },
+        //image width and height, the image is decoded only if a limit is set
+        function(file) {
+            var limits  = file.config.imageDimensions || {};
+            var URL     = window.URL || window.webkitURL;
+            if( !(limits.minWidth || limits.minHeight || limits.maxWidth || limits.maxHeight) ||
+                !/^image\//.test(file.file.type) || !URL ) {
+                return;
+            }
+
+            return new Promise(function(resolve) {
+                var img = new Image();
+                var src = URL.createObjectURL(file.file);
+                img.onload = function() {
+                    var width   = img.naturalWidth;
+                    var height  = img.naturalHeight;
+                    URL.revokeObjectURL(src);
+                    file.dimensions = {width: width, height: height};
+                    if( width < (limits.minWidth || 0) || height < (limits.minHeight || 0) ||
+                        (limits.maxWidth && width > limits.maxWidth) || (limits.maxHeight && height > limits.maxHeight) ) {
+                        resolve({error: 'IMAGE_DIMENSIONS', message: _('Image dimensions not allowed'), param: file.dimensions});
+                    } else {
+                        resolve();
+                    }
+                };
+                //not decoded by the browser, it cannot be checked
+                img.onerror = function() {
+                    URL.revokeObjectURL(src);
+                    resolve();
+                };
+                img.src = src;
+            });
+        }
+    ];
+
+    /**
+     * Normalize the result of a rule on the error format, null if the file is valid. Rules can return false or
+     * the error message
+     * @param result
+     * @returns {Object|null}
+     */
+    var toError = function(result) {
+        if( result === undefined || result === null || result === true || result === '' ) {
+            return null;
+        }
+        if( typeof result !== 'object' ) {
+            return {
+                error:      'USER_ERROR',
+                message:    typeof result === 'string' ? result : _('Validation failed'),
+                param:      ''
+            };
+        }
+        return {
+            error:      result.error || 'USER_ERROR',
+            message:    result.message || _('Validation failed'),
+            param:      result.param !== undefined ? result.param : ''
+        };
+    };
+
+    /**
+     * Validation of a file object with the built-in rules that may need async work (contentCheck, imageDimensions)
+     * followed by the validators option. The sync built-in rules are already passed on file add, see check.
+     * Rules run in order, the first failing one stops the pipeline. Same callback system of the other file operations: done when the file is valid, error
+     * with the list of errors [{error, message, param}]
+     * @param {FileObject} file the file to validate
+     * @constructor
+     * @example:
+     * var validator = new FileValidator(fileObject);
+     * validator.error(function(errors){
+     *     console.log(errors[0].error, errors[0].message);
+     * });
+     * validator.start();
+     */
+    var FileValidator = function(file) {
+        this.file       = file;
+        this.rules      = RULES.concat(file.config.validators || []);
+        this.stopped    = false;
+
+        //create the queue stacks callbacks
+        this._done      = [];
+        this._error     = [];
+        this._always    = [];
+        this._progress  = [];
+    };
+
+    /**
+     * Run the sync built-in rules (allowedExtensions, allowedTypes, minFileSize, maxFileSize, validateFile), used on
+     * file add so the rejected files are never rendered
+     * @param {Object} file {name, size, ext, file, config, AU}
+     * @returns {Array} errors [{error, message, param}], empty if the file is valid
+     */
+    FileValidator.check = function(file) {
+        var errors = [];
+        for( var i = 0; i < SYNC_RULES.length; i++ ) {
+            var error = toError(SYNC_RULES[i](file));
+            if( error ) {
+                errors.push(error);
+            }
+        }
+        return errors;
+    };
+
+    FileValidator.prototype = {
+        done: function(callback, ctx){
+            return this._addCallback(callback, ctx, 'done');
+        },
+        progress: function(callback, ctx){
+            return this._addCallback(callback, ctx, 'progress');
+        },
+        error: function(callback, ctx){
+            return this._addCallback(callback, ctx, 'error');
+        },
+        always: function(callback, ctx){
+            return this._addCallback(callback, ctx, 'always');
+        },
+        _addCallback: function(callback, ctx, queue) {
+            if( typeof callback == 'function') this['_'+queue].push({callback: callback, ctx: ctx });
+            return this;
+        },
+        _runStack: function(stack, params) {
+            var i = 0,  max = stack.length;
+            for (i = 0; i < max; i++) {
+                stack[i].callback.apply( stack[i].ctx, params );
+            }
+            return this;
+        },
+        /**
+         * Run the rules in order, sync rules do not wait
+         * @returns {FileValidator}
+         */
+        start: function() {
+            var me      = this;
+            var index   = 0;
+
+            var step = function(result) {
+                if( me.stopped ) return;
+                var error = toError(result);
+                if( error ) {
+                    Utils.log('FileValidator:::failed', error.error);
+                    me._runStack(me._error, [[error]])._runStack(me._always, [[error]]);
+                    return;
+                }
+                if( index >= me.rules.length ) {
+                    me._runStack(me._done, [me.file])._runStack(me._always, []);
+                    return;
+                }
+
+                me._runStack(me._progress, [Math.round(index * 100 / me.rules.length)]);
+                var ret;
+                try {
+                    ret = me.rules[index++].call(me.file.AU, me.file);
+                } catch (err) {
+                    ret = {error: 'VALIDATION_ERROR', message: err.message};
+                }
+                if( ret && typeof ret.then == 'function' ) {
+                    ret.then(function(value) {
+                        step(value);
+                    }, function(err) {
+                        step({error: 'VALIDATION_ERROR', message: err && err.message});
+                    });
+                } else {
+                    step(ret);
+                }
+            };
+            step(undefined);
+            return this;
+        },
+        /**
+         * Ignore the rules still running
+         */
+        stop: function() {
+            this.stopped = true;
+        }
+    };
+
+    return FileValidator;
+});
@@ -0,0 +1,239 @@
+/**
+ * @file Http client
+ * Sends all the requests of the uploader, with the request and response interceptors
+ * @author Alban Xhaferllari
+ * @version 1.0
+ */
+define(['i18n'], /** @lends HttpClient */ function(_) {
+    'use strict';
+
+    /**
+     * Http client of a uploader. Every request (upload, check file exists, delete) goes through it, so the
+     * interceptors can add headers, change the request or replay it after a token refresh.
+     *
+     * A request interceptor receives the request {method, url, body, headers, withCredentials, timeout, type, file,
+     * replays} and can change it. It can return a Promise for async work, or false to cancel the request.
+     * A response interceptor receives the response {status, xhr, request}, and can return true (or a Promise of
+     * true) to replay the request: the request interceptors run again on the replay.
+     * Types of request are upload, check, delete and probe (connection check after an offline)
+     * @param {RealUploader} AU the uploader
+     * @constructor
+     * @example
+     * uploader.http.addResponseInterceptor(function(response) {
+     *     if( response.status == 401 && response.request.replays < 1 ) {
+     *         return refreshToken().then(function(){ return true; });
+     *     }
+     * });
+     */
+    var HttpClient = function(AU) {
+        this.AU                     = AU;
+        this.config                 = AU.config;
+        this.requestInterceptors    = [].concat(AU.config.requestInterceptors || []);
+        this.responseInterceptors   = [].concat(AU.config.responseInterceptors || []);
+    };
+
+    HttpClient.prototype = {
+        /**
+         * Add a function that runs before every request
+         * @param {Function} fn receives the request
+         * @returns {HttpClient}
+         */
+        addRequestInterceptor: function(fn) {
+            this.requestInterceptors.push(fn);
+            return this;
+        },
+        /**
+         * Add a function that runs on every completed request, before the result is used
+         * @param {Function} fn receives the response
+         * @returns {HttpClient}
+         */
+        addResponseInterceptor: function(fn) {
+            this.responseInterceptors.push(fn);
+            return this;
+        },
+        /**
+         * Send a request. The callbacks object has done(xhr) for 2xx status, error(code, msg, xhr) and the optional
+         * progress(loaded). Error codes are retry (network errors, timeouts and the retry policy status codes),
+         * aborted, server_error and error
+         * @param {Object} options {method, url, body, headers, type, file}
+         * @param {Object} cb callbacks
+         * @returns {{xhr: XMLHttpRequest, abort: Function}} object for stopping the request
+         */
+        send: function(options, cb) {
+            var me      = this;
+            var config  = me.config;
+            var headers = {}, name;
+            for( name in config.headers ) {
+                if( config.headers.hasOwnProperty(name) ) headers[name] = config.headers[name];
+            }
+            for( name in options.headers ) {
+                if( options.headers.hasOwnProperty(name) ) headers[name] = options.headers[name];
+            }
+
+            var request = {
+                method:             options.method,
+                url:                options.url,
+                body:               options.body,
+                headers:            headers,
+                withCredentials:    config.withCredentials,
+                timeout:            config.timeout,
+                type:               options.type || 'upload',
+                file:               options.file || null,
+                replays:            0
+            };
+
+            var handle = {
+                xhr: null,
+                finished: false,
+                abort: function() {
+                    if( this.finished ) return;
+                    //a completed xhr waiting for the response interceptors does not fire the abort event
+                    if( this.xhr && this.xhr.readyState != 4 ) {
+                        this.xhr.abort();
+                    } else {
+                        finish('error', ['aborted', _('Upload aborted'), null]);
+                    }
+                }
+            };
+
+            var finish = function(type, args) {
+                if( handle.finished ) return;
+                handle.finished = true;
+                cb[type].apply(null, args);
+            };
+
+            var start = function() {
+                handle.xhr = null;
+                me._run(me.requestInterceptors, request, function(result) {
+                    if( handle.finished ) return;
+                    if( result === false ) {
+                        finish('error', ['error', _('Request cancelled'), null]);
+                        return;
+                    }
+                    handle.xhr = me._open(request, cb.progress, function(xhr) {
+                        if( handle.finished ) return;
+                        me._run(me.responseInterceptors, {status: xhr.status, xhr: xhr, request: request}, function(replay) {
+                            if( handle.finished ) return;
+                            if( replay === true ) {
+                                request.replays++;
+                                start();
+                            } else {
+                                me._complete(request, xhr, finish);
+                            }
+                        }, true);
+                    }, finish);
+                });
+            };
+
+            start();
+            return handle;
+        },
+        /**
+         * Run the interceptors in order, each one can be async returning a Promise
+         * @param {Array} list interceptors
+         * @param {Object} arg request or response
+         * @param {Function} next receives the last not undefined result
+         * @param {boolean} [stopOnTrue] stop at the first interceptor returning true
+         * @private
+         */
+        _run: function(list, arg, next, stopOnTrue) {
+            var me      = this;
+            var index   = 0;
+            var step    = function(result) {
+                if( result === false || (stopOnTrue && result === true) || index >= list.length ) {
+                    next(result);
+                    return;
+                }
+                var ret;
+                try {
+                    ret = list[index++].call(me.AU, arg);
+                } catch (err) {
+                    console.error(err);
+                    ret = undefined;
+                }
+                if( ret && typeof ret.then == 'function' ) {
+                    ret.then(step, function(err) {
+                        console.error(err);
+                        next(false);
+                    });
+                } else {
+                    step(ret);
+                }
+            };
+            step(undefined);
+        },
+        /**
+         * Open and send the xhr of the request
+         * @param {Object} request
+         * @param {Function} [progress] upload progress callback
+         * @param {Function} complete runs when the server answers
+         * @param {Function} finish ends the request with a callback type and its arguments
+         * @returns {XMLHttpRequest}
+         * @private
+         */
+        _open: function(request, progress, complete, finish) {
+            var xhr = new XMLHttpRequest();
+
+            if( progress ) {
+                xhr.upload.addEventListener('progress', function(e) {
+                    if( e.lengthComputable ) {
+                        progress(e.loaded);
+                    }
+                }, false);
+            }
+
+            xhr.addEventListener('abort', function() {
+                finish('error', ['aborted', _('Upload aborted'), xhr]);
+            }, false);
+
+            //network error, connection lost or refused
+            xhr.addEventListener('error', function() {
+                finish('error', ['retry', _('Network error'), xhr]);
+            }, false);
+
+            xhr.addEventListener('timeout', function() {
+                finish('error', ['retry', _('Request timeout'), xhr]);
+            }, false);
+
+            xhr.onreadystatechange = function() {
+                if( this.readyState == 4 && this.status !== 0 ) {
+                    complete(this);
+                }
+            };
+
+            xhr.open(request.method, request.url, this.config.async);
+            xhr.withCredentials = !!request.withCredentials;
+            if( request.timeout > 0 && this.config.async ) {
+                xhr.timeout = request.timeout;
+            }
+            for( var name in request.headers ) {
+                if( request.headers.hasOwnProperty(name) ) {
+                    xhr.setRequestHeader(name, request.headers[name]);
+                }
+            }
+            xhr.send(request.body);
+            return xhr;
+        },
+        /**
+         * Map the server status on the callbacks
+         * @param {Object} request
+         * @param {XMLHttpRequest} xhr
+         * @param {Function} finish ends the request with a callback type and its arguments
+         * @private
+         */
+        _complete: function(request, xhr, finish) {
+            var status = xhr.status;
+            if( status >= 200 && status < 300 ) {
+                finish('done', [xhr]);
+            } else if( status == 404 ) {
+                finish('error', ['server_error', 'URL not found 404. Be sure to point to the correct upload URL: ' + request.url, xhr]);
+            } else if( this.config.retry.statusCodes.indexOf(status) >= 0 ) {
+                finish('error', ['retry', _('Server error') + ' ' + status, xhr]);
+            } else {
+                finish('error', ['error', _('Server error') + ' ' + status, xhr]);
+            }
+        }
+    };
+
+    return HttpClient;
+});
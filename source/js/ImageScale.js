@@ -130,6 +130,23 @@ define(['Utils', 'ExifRestorer'], /** @lends ImageScale */ function(Utils, ExifR
         always: function(callback, ctx){
             return this._addCallback(callback, ctx, 'always');
         },
+        /**
+         * Promise version of the done/error callbacks. Resolves with the re-sized image, or null when the image
+         * is not re-sized, rejects on error. The resize still needs to be started with start
+         * @returns {Promise}
+         */
+        promise: function() {
+            var me = this;
+            return new Promise(function(resolve, reject) {
+                me.done(function(result) {
+                    resolve(result);
+                }).error(function(msg) {
+                    reject(msg);
+                }).always(function() {
+                    resolve(null);
+                });
+            });
+        },
         /**
          * Private function that adds the callback function to the queue
          * @param {Function} callback The callback function
@@ -4,19 +4,23 @@
  * @date
  * @version 4.0
  */
-define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */ function (FileObject, Constants, Utils, _) {
+define(['FileObject', 'Constants', 'Utils', 'i18n', 'UploadStore', 'AxTransport', 'TusTransport', 'S3Transport', 'AzureTransport', 'HttpClient', 'FileValidator'], /** @lends RealUploader */ function (FileObject, Constants, Utils, _, UploadStore, AxTransport, TusTransport, S3Transport, AzureTransport, HttpClient, FileValidator) {
     'use strict';
     /**
      * Main uploader class. Manages the queue of upload and the template
      * @class RealUploader
-     * @param querySelector {String|HTMLElement} The element where to start the uploader, can be either a DOM element or a
-     * querySelector CSS
+     * @param querySelector {String|HTMLElement|null} The element where to start the uploader, can be either a DOM element
+     * or a querySelector CSS. Can be null in headless mode
      * @example <caption>As query selector</caption>
      * new RealUploader('#some_id');//create a ajax uploader to the element with ID some_id
      * @example <caption>HTMLElement</caption>
      * var div = document.createElement('div');
      * document.body.appendChild(div);
      * new RealUploader(div);
+     * @example <caption>Headless, no DOM</caption>
+     * var uploader = new RealUploader(null, {headless: true});
+     * uploader.on('stateFile', function(file, state){ ... });
+     * uploader.addFiles(input.files);
      * @param config {Object} Configuration of the RealUploader set by the user
      * @param {String} [config.accept=null] Accept attribute to set on the the file input, will be used in combination
      * with the allowExtension setting
@@ -30,6 +34,8 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
      *      allowedExtensions: ['jpg', 'pdf']; //only files with this extensions will be selected and the input
      *      //will be filtered
      * }
+     * @param {Array} [config.allowedTypes=[]] Array of allowed MIME types, also with the image/* form. Files with a
+     * different type are rejected with the MIME_TYPE error code
      * @param {boolean} [config.allowDelete=false] Allow user to delete file after upload. NOTE: should also be enabled
      * from server side for security reason
      * @param {boolean} [config.autoStart=false] If true upload will start immediately after drop of files or select
@@ -40,19 +46,55 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
      * @param {boolean} [config.checkFileExists=false] Do not ask user for file exits if false, if true ask user to
      * override or not the file
      * @param {number} [config.chunkSize = 1048576] Default 1Mb, if supported send file to server by chunks, not at once
+     * @param {String|boolean} [config.chunkHash=false] Algorithm of the digest sent with every chunk (md5, sha1, sha256,
+     * crc32, crc32c) as ax-chunk-hash. The server checks it before writing the chunk, on mismatch only that chunk is
+     * sent again, following the retry policy. false to disable
+     * @param {Object} [config.adaptiveChunk] Adapt the chunk size of each file to the measured throughput
+     * @param {boolean} [config.adaptiveChunk.enable=false] Enable the adaptive mode, chunkSize is used as start size
+     * @param {number} [config.adaptiveChunk.targetDuration=2000] Request duration in milliseconds to aim for each chunk
+     * @param {number|String} [config.adaptiveChunk.minSize='256K'] Minimum chunk size, number of bytes or 256K, 1M format
+     * @param {number|String} [config.adaptiveChunk.maxSize='64M'] Maximum chunk size, number of bytes or 256K, 1M format
      * @param {Object} [config.data={}] User data to send to the server with the file upload
      * @param {String|Object|Function}[config.dropClass='ax-drop'] Set the class of dom element when the files
      * are drag over
      * @param {String|HTMLElement} [config.dropArea='self'] Set the DOM element where to bind the drag event. If it
      * is provided the self string then the dropArea will be bind to the uploader container
+     * @param {boolean|String} [config.contentCheck=false] Reject the files whose content does not match the extension,
+     * or the accept and allowedTypes options, with the CONTENT_MISMATCH error code. The real type is detected from the
+     * first bytes of the file (JPEG, PNG, GIF, WebP, PDF, ZIP and OOXML, MP4...) and is on fileObject.detectedType as
+     * {ext, mime, extensions}, null if unknown. Files with an unknown content pass only if their extension is not of a
+     * known type. With 'detect' the type is only detected, without rejecting any file. The first bytes are read only
+     * when this option is set
      * @param {boolean} [config.enable=true] Start the uploader state. If set to false, it will not be possible to
      * upload files until an external call to the enable method will be called
+     * @param {String} [config.duplicates='allow'] What to do when a file already in the list is added again: reject
+     * keeps the old file, replace removes the old file once the new one passes the checks and the validation, allow
+     * keeps both. A file already uploading or uploaded is never replaced, the new one is rejected. Reject and replace
+     * are reported by the errorFile event with the DUPLICATE error code, the param is the file kept in the list
+     * @param {String} [config.duplicateCheck='meta'] How duplicates are found: meta compares name, size and last
+     * modified date; hash compares also the content md5, calculated before the upload of every file
      * @param {boolean} [config.editFilename=false] Enabled file name edit before upload with double click
      * @param {boolean} [config.exifRead=false] Enables exif read from JPEG file, it will attach the information to
      * the file object
      * @param {HTML} [config.fileTemplate=null] Customize the html for the file template, to be used by keeping the
      * class names. This will allow the users to change easy the html and preview.
      * The default value is hardcoded inside the code for more see the file documentation
+     * @param {Array} [config.hashAlgorithms=[]] Hashes to calculate on every file, in the same worker and file read of
+     * the md5: md5, sha1, sha256, crc32 and crc32c. The hex digests are on fileObject.hashes and are sent with the
+     * last chunk as ax-file-hash[algorithm]. The md5 of md5Calculate is calculated by the same read
+     * @param {boolean} [config.hashCheck=true] Verify on the server the hashes of hashAlgorithms, the result is in the
+     * checkSum of the file
+     * @param {Object} [config.headers={}] Headers added to all the requests of the uploader (upload, check, delete)
+     * @param {boolean} [config.headless=false] Do not render any HTML. Queue, chunks, md5, resize and all the other
+     * functions work as usual, the state is reported by the events (stateFile, progressFile, progress...) and by
+     * getState. Questions to the user (file override, delete) are sent to the askUser event
+     * @param {Object} [config.imageDimensions=null] Allowed size of the images in pixels: {minWidth, minHeight,
+     * maxWidth, maxHeight}, each limit is optional. Images out of the limits are rejected with the IMAGE_DIMENSIONS
+     * error code, the size of the checked images is on fileObject.dimensions
+     * @param {boolean} [config.instantUpload=false] Before the upload ask the server if it already has a file with the
+     * same md5 and size. If so the file is marked as uploaded without sending any byte: upload.php copies the stored
+     * content on the file name, the names of the files of the other clients are not disclosed. Works only if
+     * md5Calculate is enabled
      * @param {boolean} [config.hideUploadButton=false] Hides the main upload button, to be used on autoStart to true
      * or when the upload is trigger by external function
      * @param {String} [config.language='auto'] Set the language of the string for button, labels... By default
@@ -62,16 +104,35 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
      * the documentation
      * @param {number} [config.maxFiles=9999] Set the maximum file of number allow to upload at the same session.
      * Recommended to keep this settings low when uploading big files
+     * @param {number|String} [config.maxBandwidth=0] Limit the total upload speed of all files in bytes per second,
+     * 0 for no limit. Can be set as String with format 512K, 2M. Can be changed at runtime with setBandwidthLimit
      * @param {number} [config.maxConnections=3] Set the maximum number of parallel uploads. By default most of browser
      * will allow 6 parallel connections. Limit to three will allow a faster file upload.
      * @param {number|String} [config.maxFileSize=10485760] Set the maximum file size for file upload.
      * Can be set as String with format 10M, 200K, 4G to set the unit or as number 1123123 for indicating bytes.
      * @param {number|String} [config.minFileSize=0] Set the minimum file size for file upload. Can be set as String
-     * with format 10M, 200K, 4G to set the unit or as number 1123123 for indicating bytes.
+     * with format 10M, 200K, 4G to set the unit or as number 1123123 for indicating bytes. Smaller files are rejected
+     * with the MIN_FILE_SIZE error code
      * @param {boolean} [config.md5Calculate=false] Calculate the MD5 hash of the file using WebWorkers,
      * can slow down or hang the browser on big files, use with care.
      * @param {boolean} [config.md5Check=false] Verify the correct file upload by comparing the server md5 with the md5
      * calculated on client side. Works only of md5Calculate is enabled.
+     * @param {String} [config.md5Mode='full'] When the md5 is calculated: full reads the whole file before the upload,
+     * incremental hashes every chunk while it is sliced for the upload, so the file is read only once and the upload
+     * starts immediately. The md5 is ready only at the end and is sent with the last chunk (finalize request on
+     * parallel chunks) for the server check. Same for the hashAlgorithms. The content duplicates check and the
+     * instantUpload option need the md5 before the upload, with them the full mode is used
+     * @param {Object} [config.offline] Offline detection: on the browser offline event or on repeated network failures
+     * the queue and the running files are suspended, and resumed from the last confirmed chunk when the connection is
+     * back. The main template shows the ax-offline-notice element while offline
+     * @param {boolean} [config.offline.enable=true] Enable the offline detection
+     * @param {number} [config.offline.threshold=2] Consecutive network failures, of any file, that mean offline
+     * @param {number} [config.offline.probeInterval=5000] Milliseconds before the first connection check after an offline
+     * detected by failures, the browser does not fire the online event in this case. The check is a HEAD request to the
+     * upload url, any server answer means online. Every failed check doubles the wait
+     * @param {number} [config.offline.maxProbeInterval=60000] Maximum milliseconds between the connection checks
+     * @param {number} [config.parallelChunks=1] Number of chunks of the same file to upload at the same time. Values over
+     * 1 need the server finalize step that assembles the parts by start byte (ax-parallel/ax-finalize in upload.php)
      * @param {boolean} [config.overrideFile=false] If set to false the files on the server will not be override.
      * The file will be renamed if already exits. If set to true the file user will be prompt to override the file.
      * @param {number} [config.thumbHeight=0] Set the maximum height of the image thumbnail to generate on server
@@ -80,9 +141,57 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
      * @param {String} [config.thumbPath=''] Set the path where to upload the re-sized image
      * @param {String} [config.thumbFormat=''] Set the thumbnail export format, by default same as original image.
      * Possible values jpg, png, gif.
+     * @param {String|Function} [config.transport='ax'] Wire protocol used for the upload, name of a transport registered
+     * with registerTransport or a Transport constructor. The default 'ax' is the protocol of upload.php, 'tus' uploads to
+     * a tus 1.0 server, 's3' uploads directly to S3 compatible storages, 'azure' to Azure Blob storage
+     * @param {Object} [config.tus] Options of the tus transport
+     * @param {URL} [config.tus.endpoint=''] Creation URL of the tus server, the url option if empty
+     * @param {Object} [config.tus.headers={}] Custom headers to add to all the tus requests, for example Authorization
+     * @param {Object|Function} [config.tus.metadata=null] Extra Upload-Metadata values, or a function that receives the
+     * file and returns them. filename, filetype and md5 (if calculated) are always sent
+     * @param {Object} [config.s3] Options of the s3 transport, multipart upload with presigned URLs. Parts are at least
+     * 5MB, smaller chunk sizes are raised
+     * @param {String|Function} [config.s3.key=''] Prefix of the object key followed by the file name, or a function that
+     * receives the file and returns the key. With resumable uploads the key must be the same for the same file
+     * @param {Function} [config.s3.sign=null] Returns the presigned URL of a request, as string, {url, headers} or a
+     * Promise of them, or calls its second argument with them. Receives {action, file, key, uploadId, partNumber,
+     * contentType}, actions are create, part, list, complete and abort
+     * @param {Object} [config.azure] Options of the azure transport, block blob upload with Put Block and Put Block List
+     * @param {String|Function} [config.azure.blobName=''] Prefix of the blob name followed by the file name, or a function
+     * that receives the file and returns the blob name
+     * @param {Function} [config.azure.sign=null] Returns the blob SAS URL with write permission, as string or Promise, or
+     * calls its second argument with it. Receives {action: 'upload', file, blobName, contentType}
      * @param {URL} [config.url='upload.php'] Set the server side script that handles the upload
      * @param {boolean} [config.uploadDir=false] Experimental feature for uploading an entire folder.
      * Works only on Google Chrome
+     * @param {boolean} [config.resumable=false] Save the state of the in-flight uploads in IndexedDB. If the same file
+     * is added again after a page reload or a browser crash the upload continues from the last confirmed byte
+     * @param {String} [config.resumableStore='realuploader'] Name of the IndexedDB database used by the resumable option
+     * @param {Array} [config.requestInterceptors=[]] Functions that run before every request, they can change the
+     * request {method, url, body, headers, withCredentials, timeout, type, file, replays}, return a Promise or false to
+     * cancel. More can be added with uploader.http.addRequestInterceptor
+     * @param {Function} [config.responseAdapter=null] Maps the server responses of the default transport on the result
+     * model, for servers with a different JSON. Receives the response {status, body, json, xhr, action} and the file,
+     * action is one of chunk, finalize, offset, check and lookup. It runs also on non 200 status, but the ones of the
+     * retry policy, and on non JSON bodies (json is null). Returns {success, error, name, tempName, offset, exists,
+     * info, more, checkSum, retry, resync}: success false fails the file with the error message, tempName is the server
+     * temp id of the upload, offset the confirmed bytes for the resume, exists the answer for checkFileExists and
+     * instantUpload, retry with success false sends the chunk again following the retry policy (chunkHash mismatch),
+     * resync with success false continues the upload from the offset of the server (status 409 of a chunk that does
+     * not follow the temp file). Return null to use the default adapter for upload.php
+     * @param {Array} [config.responseInterceptors=[]] Functions that run on every response {status, xhr, request}, return
+     * true or a Promise of true to replay the request, for example after a token refresh on 401
+     * @param {number} [config.timeout=0] Timeout in milliseconds of the requests, 0 for no timeout. A timed out chunk is
+     * retried following the retry policy
+     * @param {boolean} [config.withCredentials=false] Send the cookies on cross origin requests
+     * @param {Object} [config.retry] Retry policy for the chunks failed for network errors or retryable server status
+     * @param {number} [config.retry.maxAttempts=3] Number of retries of a chunk before the file fails, 0 to disable
+     * @param {number} [config.retry.baseDelay=1000] Wait in milliseconds before the first retry
+     * @param {number} [config.retry.maxDelay=30000] Maximum wait in milliseconds between two retries
+     * @param {number} [config.retry.factor=2] Exponential backoff multiplier applied on each attempt
+     * @param {boolean} [config.retry.jitter=true] Randomize the wait (full jitter) to avoid all files retrying together
+     * @param {boolean} [config.retry.respectRetryAfter=true] Use the Retry-After header of the server response if present
+     * @param {Array} [config.retry.statusCodes=[408, 429, 500, 502, 503, 504]] HTTP status codes that can be retried
      * @param {boolean} [config.removeOnSuccess=false] If true the file will be removed from the list when the upload is successful
      * @param {boolean} [config.removeOnError=false] If true the file will be removed from the list when the upload fails
      * @param {String|function} [config.remotePath=''] Set the remote path where to upload the file on server. If this path
@@ -105,32 +214,68 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
      * @param {boolean} [config.resizeImage.keepExif=false] If true will copy the exif during resize
      * size then the image will not be reside if set to true then this will allow to stretch the image on resize
      * the exif info on the new image
+     * @param {boolean} [config.totalProgress=false] Shows an overall progress bar with percent, speed and remaining
+     * time in the main template. With a custom mainTemplate add an element with class ax-total-progress
      * @param {boolean} [config.previews=true] If true the system will make the preview of the image and a light box
      * Set to false to avoid memory problems on multiple image selection
      * @param {number} [config.previewFileSize=10485760] Set a limit to the image preview, for big images the browser
      * can cause memory problems and slowness
-     * @param {Function} [config.listeners] Main listeners handles. This is an object containing all listeners events
+     * @param {Function} [config.listeners] Main listeners handles. This is an object containing all listeners events.
+     * A listener can be a function or {fn, scope, priority, once}, the keys can be wildcards as '*File'
      * @param {Function} [config.listeners.start] Runs on upload start of the upload
      * @param {Function} [config.listeners.startFile] Runs on upload start for the single file
      * @param {Function} [config.listeners.finish] Runs when all files finish uploading
      * @param {Function} [config.listeners.finishFile] Runs on upload finish success for the single file
      * @param {Function} [config.listeners.error] Runs on error for any file
-     * @param {Function} [config.listeners.errorFile] Runs on error upload for single file
-     * @param {Function} [config.listeners.beforeUpload] Runs before upload all, if return false then upload is stopped
-     * @param {Function} [config.listeners.beforeUploadFile] Runs before the upload of the single if returns false upload is stopped for the single file
+     * @param {Function} [config.listeners.errorFile] Runs on error upload for single file, and when a file is rejected
+     * by the validation with the errors [{error, message, param}] and the file name
+     * @param {Function} [config.listeners.beforeUpload] Runs before upload all, if return false then upload is stopped.
+     * Can return a Promise, resolved to false it stops the upload
+     * @param {Function} [config.listeners.beforeUploadFile] Runs before the upload of the single if returns false upload is stopped for the single file.
+     * Can return a Promise, resolved to false it stops the upload of the file
      * @param {Function} [config.listeners.init] Runs on plugin initialization
-     * @param {Function} [config.listeners.progress] Runs on progress action of upload all
+     * @param {Function} [config.listeners.progress] Runs on progress action of upload all, receives the object
+     * returned by getProgress and the file in progress
      * @param {Function} [config.listeners.progressFile] Runs on file elaboration progress, upload/md5 calc/resize
-     * @param {Function} [config.listeners.beforePreview] Runs before preview, if return false stops preview
+     * @param {Function} [config.listeners.beforePreview] Runs before preview, if return false stops preview. Can return
+     * a Promise, resolved to false it stops the preview
      * @param {Function} [config.listeners.preview] Runs after preview has been done
      * @param {Function} [config.listeners.select] Runs after file select, returns selected file as parameter of callback
      * @param {Function} [config.listeners.chunkUpload] Runs on a chunk upload
+     * @param {Function} [config.listeners.stateFile] Runs when the status or the message of a file changes, receives the
+     * file and its getState object
+     * @param {Function} [config.listeners.askUser] Headless mode only, receives the file, the question and a SimpleRunner
+     * to answer with runner.run('yes') or runner.run('no'). Without listeners the answer is yes
+     * @param {Function} [config.listeners.chunkRetry] Runs when a failed chunk is scheduled for a new attempt
+     * @param {Function} [config.listeners.pauseFile] Runs when the upload of a file is paused
+     * @param {Function} [config.listeners.resumeFile] Runs when the upload of a paused file is resumed
+     * @param {Function} [config.listeners.offline] Runs when the connection is lost and the uploads are suspended,
+     * receives the reason: event or failures
+     * @param {Function} [config.listeners.online] Runs when the connection is back, before the uploads are resumed
      * @param {Function} [config.listeners.exifDone] Runs once the exifDone has been calculated
      * @param {Function} [config.listeners.md5Done] Runs once the md5 has been calculated
+     * @param {Function} [config.listeners.hashDone] Runs once the hashes of the file have been calculated, receives
+     * the file and the hashes {algorithm: hex digest}
      * @param {Function} [config.listeners.beforeImageResize] Runs before the resize takes place
      * @param {Function} [config.listeners.imageResize] Runs on image resize done
      * @param {Function} [config.validateFile=null] User defined callback to run on file validation, with custom
-     * condition. If this function return false then the file will not be added to the list
+     * condition. Receives name, extension and size, if it returns an error message the file is rejected with the
+     * USER_ERROR error code
+     * @param {Array} [config.validators=[]] Custom validation rules, run in order after the built-in ones
+     * (allowedExtensions, allowedTypes, minFileSize, maxFileSize, validateFile, contentCheck, imageDimensions). The
+     * sync built-in ones run before the file is added to the list, see checkFile. A rule receives the file object
+     * and returns nothing if the file is valid, false or an error message, or an error {error, message, param}.
+     * Async rules return a Promise of the same values, a rejected Promise gives the VALIDATION_ERROR code. Files
+     * stay in the validating status until all the rules pass, the first failing rule removes the file and triggers
+     * the errorFile event with the error
+     * @example <caption>validators</caption>
+     * {
+     *      validators: [function(fileObject) {
+     *          return fetch('/quota?size=' + fileObject.size).then(function(res) {
+     *              return res.ok ? null : {error: 'QUOTA', message: 'Quota exceeded'};
+     *          });
+     *      }]
+     * }
      * @constructor
      */
     var RealUploader = function (querySelector, config) {
@@ -141,8 +286,21 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
         this.globalStatus = Constants.AX_IDLE;    // the status of the uploader
         this.dom = {};                   // dom container, contains reference to all main dom element
         this.total_bytes = 0;                    // run time variable, track the total upload bytes
-        this.checkInterval = false;                // check interval
-
+        this.sessionFiles = [];                   // files of the current upload session, for the overall progress
+        this.speedStat = {time: 0, bytes: 0, speed: 0}; // smoothed upload speed of the session
+        this.bandwidthNext = 0;                    // time when the bandwidth limit allows the next bytes
+        this.queueSeq = 0;                    // insertion counter of the upload queue, keeps FIFO order on same priority
+        this._processing = false;                // true while the queue is being processed, guards re-entrant calls
+        this._processAgain = false;                // a new process request arrived while processing
+        this.offline = false;                // true while the connection is down, the queue is suspended
+        this.networkErrors = 0;                    // consecutive network failures, an offline signal
+        this.suspendedFiles = [];                   // files paused by the offline detection, resumed when online
+        this.offlineProbe = null;                 // timeout of the next connection check after an offline by failures
+        this.probeRequest = null;                 // connection check request running
+
+
+        //headless mode does not need any DOM element
+        var headless = !!(config && config.headless);
 
         //check the DOM element where to apply the uploader
         if (querySelector instanceof HTMLElement) {
@@ -152,13 +310,13 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
         }
 
         //if no DOM element container found then raise an error and stop
-        if (!this.dom.container) {
+        if (!this.dom.container && !headless) {
             console.error(querySelector + _(' not found on the DOM'));
             return;
         }
 
         //check if the plugin has already been applied to this element
-        if (this.dom.container.classList.contains('ax-uploader')) {
+        if (this.dom.container && this.dom.container.classList.contains('ax-uploader')) {
             console.warn(_('Real Uploader already bind to this element'));
             return;
         }
@@ -168,29 +326,55 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
             _data: {
                 accept: null,
                 allowedExtensions: [],
+                allowedTypes: [],
                 allowDelete: false,
                 autoStart: false,
                 async: true,
                 bandwidthUpdateInterval: 500,
                 checkFileExists: false,
                 chunkSize: 1048576,
+                chunkHash: false,
+                contentCheck: false,
+                adaptiveChunk: {
+                    enable: false,
+                    targetDuration: 2000,
+                    minSize: '256K',
+                    maxSize: '64M'
+                },
                 data: {},
                 dropClass: 'ax-drop',
+                duplicates: 'allow',
+                duplicateCheck: 'meta',
                 dropArea: 'self',
                 enable: true,
                 editFilename: false,
                 exifRead: false,
                 fileTemplate: null,
+                hashAlgorithms: [],
+                hashCheck: true,
+                headers: {},
+                headless: false,
+                imageDimensions: null,
+                instantUpload: false,
                 hideUploadButton: false,
                 language: 'auto',
                 mainTemplate: null,
                 maxFiles: 9999,
+                maxBandwidth: 0,
                 maxConnections: 3,
                 maxFileSize: 10485760,
                 minFileSize: 0,
                 md5Calculate: false,
                 md5Check: true,
+                md5Mode: 'full',
+                offline: {
+                    enable: true,
+                    threshold: 2,
+                    probeInterval: 5000,
+                    maxProbeInterval: 60000
+                },
                 overrideFile: false,
+                parallelChunks: 1,
 
                 /**
                  * This settings are used create a re-sized copy (copy) of images on server side
@@ -207,6 +391,35 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
                 removeOnSuccess: false,
                 removeOnError: false,
                 remotePath: '',
+                resumable: false,
+                resumableStore: 'realuploader',
+                requestInterceptors: [],
+                responseAdapter: null,
+                responseInterceptors: [],
+                timeout: 0,
+                transport: 'ax',
+                tus: {
+                    endpoint: '',
+                    headers: {},
+                    metadata: null
+                },
+                s3: {
+                    key: '',
+                    sign: null
+                },
+                azure: {
+                    blobName: '',
+                    sign: null
+                },
+                retry: {
+                    maxAttempts: 3,
+                    baseDelay: 1000,
+                    maxDelay: 30000,
+                    factor: 2,
+                    jitter: true,
+                    respectRetryAfter: true,
+                    statusCodes: [408, 429, 500, 502, 503, 504]
+                },
 
                 /**
                  * Client side resize
@@ -224,10 +437,13 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
                     unsharpThreshold: 0,
                     alpha: true
                 },
+                totalProgress: false,
                 previews: true,
                 previewFileSize: 10 * 1024 * 1024,
+                withCredentials: false,
                 listeners: null,
-                validateFile: null
+                validateFile: null,
+                validators: []
             }
         };
 
@@ -248,9 +464,17 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
             preview: [], //runs after preview has been done
             select: [], //runs after file select, returns selected files as parameter of callback
             chunkUpload: [], //runs on a chunk upload
+            chunkRetry: [], //runs when a failed chunk is scheduled for retry
+            pauseFile: [], //runs when a file upload is paused
+            resumeFile: [], //runs when a paused file is resumed
+            offline: [], //runs when the connection is lost and the uploads are suspended
+            online: [], //runs when the connection is back
+            stateFile: [], //runs when the status or the message of a file changes
+            askUser: [], //headless mode, runs when the file needs an answer from the user
             exifDone: [], //runs once the exifDone has been calculated
             md5Start: [], //runs before starting the md5 calculation
             md5Done: [], //runs once the md5 has been calculated
+            hashDone: [], //runs once the hashes of the file have been calculated
             beforeImageResize: [], //runs before the resize takes place
             imageResize: [], //runs on image resize done
             dragEnter: [], //runs on drag enter
@@ -260,6 +484,8 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
             afterRenderFile: [], //run after the file DOM element is attached to the dom
             beforeRenderFile: [] //runs before the file element is beeing rendered to the dom
         };
+        this.wildcardListeners = [];                   // listeners bound with * in the event name
+        this.listenerSeq = 0;                    // bind counter, keeps the bind order on same priority
 
         //settings filter and validation
         this.preCheckSettings(config);
@@ -267,15 +493,36 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
         // trace slots (parallel uploads), for limiting
         this.slots = this.config.maxConnections;
 
+        //persistent storage of the upload state, for resuming uploads after reload
+        this.uploadStore = this.config.resumable ? new UploadStore(this.config.resumableStore) : null;
+
+        //all the requests go through the http client, for the interceptors
+        this.http = new HttpClient(this);
+
+        //wire protocols available for this uploader, others can be added with registerTransport
+        this.transports = {
+            ax: AxTransport,
+            tus: TusTransport,
+            s3: S3Transport,
+            azure: AzureTransport
+        };
+
         //load language and start the singleton
         new _(this.config.language);
 
         if (this.checkUploadSupport()) {
-            //render html
-            this.renderHtml();
+            if (this.config.headless) {
+                this.enable(this.config.enable);
+            } else {
+                //render html
+                this.renderHtml();
+
+                //bind click mouse event and other events
+                this._bindEvents();
+            }
 
-            //bind click mouse event and other events
-            this._bindEvents();
+            //listen for the connection changes
+            this._bindOffline();
 
             //run the init call back
             this.triggerEvent('init', []);
@@ -316,6 +563,18 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
                 }
             });
 
+            Object.defineProperty(me.config, 'allowedTypes', {
+                get: function () {
+                    return this._data.allowedTypes;
+                },
+                set: function (types) {
+                    this._data.allowedTypes = types.map(function (item) {
+                        return item.toLowerCase();
+                    });
+                    me._setAcceptAttribute();
+                }
+            });
+
             Object.defineProperty(me.config, 'language', {
                 get: function () {
                     if (this._data.language == 'auto') {
@@ -338,6 +597,15 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
                 }
             });
 
+            Object.defineProperty(me.config, 'maxBandwidth', {
+                get: function () {
+                    return this._data.maxBandwidth;
+                },
+                set: function (size) {
+                    this._data.maxBandwidth = Utils.parseSize(size) || 0;
+                }
+            });
+
             Object.defineProperty(me.config, 'minFileSize', {
                 get: function () {
                     return this._data.minFileSize;
@@ -356,7 +624,8 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
                         for (var event in listeners) {
                             if (listeners.hasOwnProperty(event)) {
                                 var callback = listeners[event];
-                                me.on(event, callback.fn || callback, callback.scope || me);
+                                me.on(event, callback.fn || callback, callback.scope || me,
+                                    typeof callback == 'function' ? null : callback);
                             }
                         }
                         this._data.listeners = listeners;
@@ -370,6 +639,9 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
                 },
                 set: function (val) {
                     this._data.enable = !!val;//convert to boolean
+                    if (!me.dom.container || me.config.headless) {
+                        return;
+                    }
                     if (this._data.enable) {
                         me.dom.container.classList.remove('ax-disabled');
                     } else {
@@ -425,6 +697,11 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
             '<span class="ax-clear-icon ax-icon"></span> <span class="ax-clear-text ax-text">Remove all</span>' +
             '</a>' +
             '</div>' +
+            (this.config.totalProgress ?
+            '<div class="ax-total-progress">' +
+            '<div class="ax-total-progress-bar"></div><div class="ax-total-progress-info"></div>' +
+            '</div>' : '') +
+            '<div class="ax-offline-notice" style="display:none"></div>' +
             '<div class="ax-file-list"></div>' +
             '</div>';
 
@@ -438,6 +715,10 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
             this.dom.uploadButton = Utils.getEl(c, '.ax-upload-all');
             this.dom.removeButton = Utils.getEl(c, '.ax-clear');
             this.dom.fileList = Utils.getEl(c, '.ax-file-list');
+            this.dom.totalProgress = Utils.getEl(c, '.ax-total-progress');
+            this.dom.totalProgressBar = Utils.getEl(c, '.ax-total-progress-bar');
+            this.dom.totalProgressInfo = Utils.getEl(c, '.ax-total-progress-info');
+            this.dom.offlineNotice = Utils.getEl(c, '.ax-offline-notice');
 
             if (this.dom.title) {
                 this.dom.title.innerHTML = _('Select Files or Drag&Drop Files');
@@ -490,6 +771,9 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
             if (this.config.allowedExtensions.length > 0) {
                 accept += '.' + this.config.allowedExtensions.join(',.');
             }
+            if (this.config.allowedTypes.length > 0) {
+                accept += (accept && accept.slice(-1) != ',' ? ',' : '') + this.config.allowedTypes.join(',');
+            }
             if (this.dom.browseInput && accept) {
                 this.dom.browseInput.setAttribute('accept', accept);
             }
@@ -653,6 +937,10 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
             //if all files had been uploaded then exec finish event
             var runFinish = true;
             var fileObj = this.fileList[fileId];
+
+            //free the slot, only if the file got one from the queue
+            this._releaseSlot(fileObj, true);
+
             for (var fid in this.fileList) {
                 if (this.fileList.hasOwnProperty(fid)) {
                     var f = this.fileList[fid];
@@ -675,7 +963,8 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
                 this.finish();
             }
 
-            this.slots++; //free slot
+            //a slot is free, start the next file
+            this.processQueue();
         },
 
         /**
@@ -716,18 +1005,36 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
                 //normalize extension
                 file.extension = file.name.split('.').pop().toLowerCase();
 
+                //the same file added again, reject it or replace the old one
+                var duplicate = this._findDuplicate(file);
+                if (duplicate) {
+                    if (this.config.duplicates == 'reject' || this._isStarted(duplicate)) {
+                        this._reportDuplicate(duplicate, file.name, _('File already in the list'));
+                        continue;
+                    }
+                }
+
                 //check if extension is allowed to be uploaded
                 //if we have reach the max number of files allowed
-                //if file size is allowed
-                var err = this.checkFile(file.name, file.size, file.extension);
+                //if file size is allowed, the async checks are on the file validation
+                var err = this.checkFile(file.name, file.size, file.extension, file, duplicate);
 
                 //if no errors add file to list
                 if (err.length == 0) {
                     var fileId = this.generateFileId();
-                    this.fileList[fileId] = new FileObject(file, fileId, this); //create the file object
+                    var fileObj = new FileObject(file, fileId, this); //create the file object
+                    fileObj.replacing = duplicate;
+                    this.fileList[fileId] = fileObj;
+
+                    //the rules of the validators option and the async ones, a sync reject removes the file immediately
+                    //the replaced duplicate is removed only when the validation passes
+                    fileObj.validate();
+                    if (!this.fileList[fileId]) {
+                        continue;
+                    }
 
                     //store a reference to the current selected files for the onSelect callback
-                    selectedFiles.push(this.fileList[fileId]);
+                    selectedFiles.push(fileObj);
                 } else {
                     //if there are errors call the error event (if defined from the user)
                     this.triggerEvent('errorFile', [err, file.name]);
@@ -744,80 +1051,231 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
         },
 
         /**
-         * Checking file if extension is allowed or if this file is exceeding the maximum file number
+         * Find a file of the list with the same name, size and last modified date
+         * @param {File} file the DOM file being added
+         * @returns {FileObject|null} the file already in the list, null if allowed duplicates or not found
+         * @private
+         */
+        _findDuplicate: function (file) {
+            if (this.config.duplicates == 'allow') return null;
+
+            var fingerprint = FileObject.getFingerprint(file, this.config);
+            for (var fileId in this.fileList) {
+                if (this.fileList.hasOwnProperty(fileId) && this.fileList[fileId].fingerprint === fingerprint) {
+                    return this.fileList[fileId];
+                }
+            }
+            return null;
+        },
+        /**
+         * Remove the duplicate replaced by a file that passed the validation. If the upload of the duplicate started
+         * meanwhile, the duplicate is kept and the new file is removed
+         * @param {FileObject} file the new file
+         * @returns {boolean} false if the new file has been removed
+         * @private
+         */
+        _replaceDuplicate: function (file) {
+            var old = file.replacing;
+            file.replacing = null;
+            //removed by hand while the new file was validating
+            if (!old.AU) return true;
+
+            if (this._isStarted(old)) {
+                this._reportDuplicate(old, file.name, _('File already in the list'));
+                file.destroy();
+                return false;
+            }
+            old.destroy();
+            this._reportDuplicate(file, old.name, _('File replaced'));
+            return true;
+        },
+        /**
+         * A file that is uploading, paused or uploaded, it cannot be replaced by a duplicate
+         * @param {FileObject} file
+         * @returns {boolean}
+         * @private
+         */
+        _isStarted: function (file) {
+            return [Constants.AX_CHECK, Constants.AX_UPLOADING, Constants.AX_PAUSED, Constants.AX_DONE]
+                .indexOf(file.status) >= 0;
+        },
+        /**
+         * Content duplicates check, after the md5 calculation of a file. The newer of the two files is the duplicate
+         * @param {FileObject} file the file with the new md5
+         * @private
+         */
+        _checkDuplicateHash: function (file) {
+            var other = null;
+            for (var fileId in this.fileList) {
+                if (this.fileList.hasOwnProperty(fileId)) {
+                    var f = this.fileList[fileId];
+                    if (f !== file && f.md5 && f.md5 === file.md5 && f.size === file.size) {
+                        other = f;
+                        break;
+                    }
+                }
+            }
+            if (!other) return;
+
+            var newer = file.addedIndex > other.addedIndex ? file : other;
+            var older = newer === file ? other : file;
+            if (this.config.duplicates == 'reject') {
+                this._reportDuplicate(older, newer.name, _('File already in the list'));
+                newer.destroy();
+            } else {
+                this._reportDuplicate(newer, older.name, _('File replaced'));
+                older.destroy();
+            }
+        },
+        /**
+         * Report a duplicate by the errorFile event, with the same errors format of the file checks
+         * @param {FileObject} kept the file that stays in the list
+         * @param {String} name name of the removed file
+         * @param {String} message
+         * @private
+         */
+        _reportDuplicate: function (kept, name, message) {
+            this.triggerEvent('errorFile', [[{message: message, error: 'DUPLICATE', param: kept}], name]);
+        },
+        /**
+         * Checking file if extension, type and size are allowed or if this file is exceeding the maximum file number.
+         * The checks that need to read the file (contentCheck, imageDimensions) and the validators option are run by
+         * the validation pipeline of the file object, see FileValidator
          * @param name name of the file
          * @param size file size (0 on old browser)
          * @param ext file extension
+         * @param {File} [file] the DOM file, for the allowedTypes check
+         * @param {FileObject} [replaced] the duplicate replaced by this file, it does not count for the max files
          * @returns {Array} array of error, no errors empty array
          */
-        checkFile: function (name, size, ext) {
-
-            var allowedExtensions = this.config.allowedExtensions;
-            var fileNumber = Object.keys(this.fileList).length;
+        checkFile: function (name, size, ext, file, replaced) {
+            var fileNumber = Object.keys(this.fileList).length - (replaced ? 1 : 0);
             var errors = [];
-            var hasUserError = false;
 
             //check max file number
-            var maxFileNumber = fileNumber < this.config.maxFiles;
-
-            //check extension
-            var isAllowedExt = allowedExtensions.indexOf(ext) >= 0 || allowedExtensions.length == 0;
-
-            //check file size
-            var isSizeAllowed = size <= this.config.maxFileSize;
-
-            //check user validate file function
-            if (typeof(this.config.validateFile) === 'function') {
-                hasUserError = this.config.validateFile.call(this, name, ext, size);
-            }
-
-            if (!maxFileNumber)    errors.push({
+            if (fileNumber >= this.config.maxFiles)    errors.push({
                 message: _('Maximum files number reached'),
                 error: 'MAX_FILES',
                 param: fileNumber
             });
-            if (!isAllowedExt)    errors.push({
-                message: _('Extension not allowed'),
-                error: 'ALLOW_EXTENSION',
-                param: ext
-            });
-            if (!isSizeAllowed)    errors.push({message: _('File size now allowed'), error: 'FILE_SIZE', param: size});
-            if (hasUserError)    errors.push({message: hasUserError, error: 'USER_ERROR', param: ''});
 
-            return errors;
+            return errors.concat(FileValidator.check({
+                name:   name,
+                size:   size,
+                ext:    ext,
+                file:   file || {type: ''},
+                config: this.config,
+                AU:     this
+            }));
         },
         /**
          * Function for uploading a single file
          * @param fileId {String}
          */
         enqueueFile: function (fileId) {
-            this.uploadQueue.push(this.fileList[fileId]);
+            var file = this.fileList[fileId];
+            //an uploaded file is not sent again
+            if (!file || file.status == Constants.AX_DONE) {
+                return;
+            }
+            this._queueFile(file);
+
+            //a failed file gets a new attempt, the ready status starts the queue processing
+            if (file.status == Constants.AX_ERROR) {
+                file.setStatus(Constants.AX_READY);
+            }
             this.processQueue();//trigger a process queue if it is not running already
         },
 
         /**
-         * Enqueue all files ready to upload
+         * Give back the upload slot of a file, and remove it from the queue if it is still waiting
+         * @param {FileObject} file
+         * @param {boolean} [noProcess] do not start the next file, the caller will do it
+         * @private
+         */
+        _releaseSlot: function (file, noProcess) {
+            var index = this.uploadQueue.indexOf(file);
+            if (index >= 0) {
+                this.uploadQueue.splice(index, 1);
+            }
+
+            if (file.hasSlot) {
+                file.hasSlot = false;
+                this.slots++;
+                if (!noProcess) this.processQueue();
+            }
+        },
+
+        /**
+         * Add a file to the upload queue, if not already there, keeping the queue order
+         * @param {FileObject} file
+         * @private
+         */
+        _queueFile: function (file) {
+            //a new upload session starts when nothing is running
+            if (this.globalStatus != Constants.AX_UPLOADING && this.uploadQueue.length == 0) {
+                this.sessionFiles = [];
+                this.speedStat = {time: 0, bytes: 0, speed: 0};
+            }
+            if (file && this.sessionFiles.indexOf(file) < 0) {
+                this.sessionFiles.push(file);
+            }
+
+            if (file && this.uploadQueue.indexOf(file) < 0) {
+                file.queueSeq = ++this.queueSeq;
+                this.uploadQueue.push(file);
+                this._sortQueue();
+            }
+        },
+
+        /**
+         * Sort the upload queue: higher priority first, then FIFO
+         * @private
+         */
+        _sortQueue: function () {
+            this.uploadQueue.sort(function (a, b) {
+                return (b.priority - a.priority) || (a.queueSeq - b.queueSeq);
+            });
+        },
+
+        /**
+         * Enqueue all files ready to upload, after the beforeUpload listeners that can be async
+         * @param {Function} [callback] receives true if the files have been enqueued
+         * @returns {boolean} false if there are no files or the upload has been stopped by a sync listener
          */
-        enqueueAll: function () {
+        enqueueAll: function (callback) {
             var pending = this.getPendingFiles();
+            var stopped = false;
+            callback = callback || function () {};
 
             //on no files callback
             if (pending.length == 0) {
                 this.triggerEvent('error', ['NO_FILES', Constants.AX_NO_FILES]);
-            } else if (this.triggerEvent('beforeUpload', [this.fileList]) !== false) {
-                //on start callback
-                this.triggerEvent('start', [pending]);
+                callback.call(this, false);
+                return false;
+            }
 
-                //push files in the upload queue
-                for (var i = 0, len = pending.length; i < len; i++) {
-                    this.uploadQueue.push(pending[i]);
-                }
+            this.triggerVeto('beforeUpload', [this.fileList], function (allowed) {
+                if (allowed) {
+                    //on start callback
+                    this.triggerEvent('start', [pending]);
 
-                //trigger a process queue if it is not running already for uploading
-                this.processQueue();
-            } else {
-                this.triggerEvent('error', ['beforeUpload']);
-            }
+                    //push files in the upload queue, the ones still pending after an async veto
+                    for (var i = 0, len = pending.length; i < len; i++) {
+                        if (this.fileList[pending[i].fileId]) {
+                            this._queueFile(pending[i]);
+                        }
+                    }
+
+                    //trigger a process queue if it is not running already for uploading
+                    this.processQueue();
+                } else {
+                    stopped = true;
+                    this.triggerEvent('error', ['beforeUpload']);
+                }
+                callback.call(this, allowed);
+            });
+            return !stopped;
         },
 
         /**
@@ -827,34 +1285,75 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
         startUpload: function () {
             this.enqueueAll();
         },
+
         /**
-         * Internal private function for processing the upload queue, uses quotas
+         * Promise version of startUpload: uploads all pending files and resolves when they are all completed
+         * @returns {Promise} resolves with an array of results {file, success, response, error}, one for each file.
+         * Rejects if there are no files to upload or the beforeUpload event stops the upload
+         * @public
+         * @example
+         * var results = await uploader.upload();
          */
-        processQueue: function () {
+        upload: function () {
+            var pending = this.getPendingFiles();
+            var waiters = pending.map(function (file) {
+                return file._waitUpload().then(function (response) {
+                    return {file: file, success: true, response: response, error: null};
+                }, function (error) {
+                    return {file: file, success: false, response: null, error: error};
+                });
+            });
+
             var me = this;
-            if (!me.checkInterval) {
-                Utils.log('Process queue');
-                me.checkInterval = setInterval(function () {
-                    Utils.log('Start interval');
-                    if (me.uploadQueue.length == 0) {
-                        clearInterval(me.checkInterval);
-                        me.checkInterval = null;
-                        Utils.log('No more files. Stop timer.');
-                    } else {
-                        me.globalStatus = Constants.AX_UPLOADING;
-                        for (var i = 0; i < me.uploadQueue.length; i++) {
-                            var file = me.uploadQueue[i];
-                            if (me.slots > 0 && file.status == Constants.AX_READY && !file.disabled) {
-                                var fo = me.uploadQueue.shift();
-                                fo.startUpload();//start file upload
-                                me.slots--;
-                            } else {
-                                Utils.log('processQueue:::', file.status, !file.disabled, me.slots);
-                            }
-                        }
+            return new Promise(function (resolve, reject) {
+                me.enqueueAll(function (enqueued) {
+                    if (!enqueued) {
+                        var error = new Error(pending.length ? _('Upload stopped by beforeUpload') : _('No files to upload'));
+                        error.code = pending.length ? 'beforeUpload' : 'NO_FILES';
+                        //waiters are never settled, files are not in the queue
+                        reject(error);
+                        return;
                     }
-                }, 500);
+                    resolve(Promise.all(waiters));
+                });
+            });
+        },
+        /**
+         * Internal function for processing the upload queue, uses quotas.
+         * Runs when a file is enqueued, when a file becomes ready and when a slot is freed.
+         * Files not yet ready keep their place in the queue and do not block the ready ones.
+         */
+        processQueue: function () {
+            //no new uploads while offline, the queue restarts when the connection is back
+            if (this.offline) {
+                return;
+            }
+
+            //called again from a file started in this loop, run one more pass at the end
+            if (this._processing) {
+                this._processAgain = true;
+                return;
             }
+
+            this._processing = true;
+            do {
+                this._processAgain = false;
+                var i = 0;
+                while (i < this.uploadQueue.length && this.slots > 0) {
+                    var file = this.uploadQueue[i];
+                    if (file.status == Constants.AX_READY && !file.disabled) {
+                        this.uploadQueue.splice(i, 1);
+                        this.slots--;
+                        file.hasSlot = true;
+                        this.globalStatus = Constants.AX_UPLOADING;
+                        file.startUpload();//start file upload
+                    } else {
+                        Utils.log('processQueue:::', file.status, !file.disabled, this.slots);
+                        i++;
+                    }
+                }
+            } while (this._processAgain);
+            this._processing = false;
         },
         /**
          * Get the pending files ready for upload
@@ -865,7 +1364,9 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
             for (var fileId in this.fileList) {
                 if (this.fileList.hasOwnProperty(fileId)) {
                     var f = this.fileList[fileId];
-                    if (f.status == Constants.AX_READY || f.status == Constants.AX_IDLE || f.status == Constants.AX_CHECK) {
+                    //files in check status are already starting
+                    if (f.status == Constants.AX_READY || f.status == Constants.AX_IDLE ||
+                        f.status == Constants.AX_VALIDATING) {
                         arr.push(f);
                     }
                 }
@@ -873,6 +1374,55 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
 
             return arr;
         },
+        /**
+         * Register a transport (wire protocol) on this uploader, to be selected by the transport option
+         * @param {String} name name of the transport
+         * @param {Function} Transport constructor of the transport, receives the FileObject. See Transport
+         * @returns {RealUploader}
+         * @example
+         * uploader.registerTransport('my', MyTransport);
+         * uploader.config.transport = 'my';
+         */
+        registerTransport: function (name, Transport) {
+            this.transports[name] = Transport;
+            return this;
+        },
+        /**
+         * Create the transport instance for a file, from the transport option
+         * @param {FileObject} file
+         * @returns {Transport}
+         */
+        createTransport: function (file) {
+            var type = this.config.transport;
+            var Transport = typeof type === 'function' ? type : this.transports[type];
+            if (!Transport) {
+                console.warn(_('Transport not found: ') + type);
+                Transport = this.transports.ax;
+            }
+            return new Transport(file);
+        },
+        /**
+         * Get the state of the uploader and of all its files, for building a custom UI (see headless option)
+         * @returns {{status: number, enabled: boolean, queue: Array, files: Array, progress: Object}}
+         */
+        getState: function () {
+            var files = [];
+            for (var fileId in this.fileList) {
+                if (this.fileList.hasOwnProperty(fileId)) {
+                    files.push(this.fileList[fileId].getState());
+                }
+            }
+            return {
+                status: this.globalStatus,
+                enabled: this.config.enable,
+                offline: this.offline,
+                queue: this.uploadQueue.map(function (file) {
+                    return file.fileId;
+                }),
+                files: files,
+                progress: this.getProgress()
+            };
+        },
         /**
          * Returns true if the uploading process is still running
          * @returns {boolean}
@@ -897,11 +1447,94 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
         /**
          * Internal function called by the file object
          * @param file the calling file object
-         * @param bytes bytes sent to the server
+         * @param bytes bytes of the file sent to the server
          */
         progress: function (file, bytes) {
-            this.total_bytes = +bytes;
-            this.triggerEvent('progress', [this.total_bytes]);
+            file.uploadedBytes = bytes;
+            var progress = this.getProgress();
+            this.total_bytes = progress.uploadedBytes;
+            this._renderProgress(progress);
+            this.triggerEvent('progress', [progress, file]);
+        },
+
+        /**
+         * Get the overall progress of the current upload session. Files failed are not counted
+         * @returns {{totalBytes: number, uploadedBytes: number, percent: number, speed: number, eta: number|null, files: Array}}
+         * speed is in bytes per second, eta in seconds (null when unknown)
+         */
+        getProgress: function () {
+            var totalBytes = 0, uploadedBytes = 0, files = [];
+            for (var i = 0; i < this.sessionFiles.length; i++) {
+                var f = this.sessionFiles[i];
+                if (f.status == Constants.AX_ERROR) continue;
+
+                var uploaded = Math.min(f.uploadedBytes, f.size);
+                totalBytes += f.size;
+                uploadedBytes += uploaded;
+                files.push({
+                    fileId: f.fileId,
+                    name: f.name,
+                    status: f.status,
+                    totalBytes: f.size,
+                    uploadedBytes: uploaded,
+                    percent: f.size ? Math.round(uploaded * 100 / f.size) : 100
+                });
+            }
+
+            var speed = this._updateSpeed(uploadedBytes);
+            var remaining = totalBytes - uploadedBytes;
+            return {
+                totalBytes: totalBytes,
+                uploadedBytes: uploadedBytes,
+                percent: totalBytes ? Math.round(uploadedBytes * 100 / totalBytes) : 0,
+                speed: speed,
+                eta: remaining <= 0 ? 0 : (speed > 0 ? Math.round(remaining / speed) : null),
+                files: files
+            };
+        },
+
+        /**
+         * Smoothed upload speed with exponential moving average, sampled at most every bandwidthUpdateInterval
+         * @param {number} bytes uploaded bytes of the session
+         * @returns {number} bytes per second
+         * @private
+         */
+        _updateSpeed: function (bytes) {
+            var stat = this.speedStat;
+            var now = new Date().getTime();
+            var interval = this.config.bandwidthUpdateInterval || 500;
+
+            if (!stat.time) {
+                stat.time = now;
+                stat.bytes = bytes;
+            } else if (now - stat.time >= interval) {
+                var current = Math.max(0, bytes - stat.bytes) * 1000 / (now - stat.time);
+                stat.speed = stat.speed ? 0.3 * current + 0.7 * stat.speed : current;
+                stat.time = now;
+                stat.bytes = bytes;
+            }
+            return Math.round(stat.speed);
+        },
+
+        /**
+         * Update the overall progress bar, if present in the main template
+         * @param {Object} progress the object returned by getProgress
+         * @private
+         */
+        _renderProgress: function (progress) {
+            if (this.dom.totalProgressBar) {
+                this.dom.totalProgressBar.style.width = progress.percent + '%';
+            }
+            if (this.dom.totalProgressInfo) {
+                var info = progress.percent + '%';
+                if (progress.speed > 0) {
+                    info += ' - ' + Utils.formatSize(progress.speed) + '/s';
+                }
+                if (progress.eta) {
+                    info += ' - ' + Utils.formatTime(progress.eta) + ' ' + _('left');
+                }
+                this.dom.totalProgressInfo.innerHTML = info;
+            }
         },
         /**
          * Removes and stops all the file from the list and destroys them
@@ -955,6 +1588,11 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
                 data.append('ax-md5checksum', 1);
             }
 
+            //check the other hashes on server side
+            if (config.hashCheck && config.hashAlgorithms.length) {
+                data.append('ax-hash-check', 1);
+            }
+
             //send and eval user data
             var userData = this.getUserData(config.data, file);
 
@@ -996,7 +1634,20 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
          * @private
          */
         _removeFile: function (fileId) {
+            var file = this.fileList[fileId];
+            if (!file) {
+                return;
+            }
+            file._rejectWaiters(); //the upload promises of a removed file cannot end
+
+            var index = this.sessionFiles.indexOf(file);
+            if (index >= 0) {
+                this.sessionFiles.splice(index, 1);
+            }
             delete this.fileList[fileId]; //remove the file from the list
+
+            //file will not be uploaded anymore, its slot goes to the next file
+            this._releaseSlot(file);
         },
 
         /**
@@ -1008,13 +1659,212 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
             for (var fileId in this.fileList) {
                 if (this.fileList.hasOwnProperty(fileId)) {
                     var f = this.fileList[fileId];
-                    if (f.status == Constants.AX_UPLOADING) {
+                    if (f.status == Constants.AX_UPLOADING || f.status == Constants.AX_CHECK) {
                         f.stopUpload();
                     }
                 }
             }
             return this;
         },
+        /**
+         * Pause all the running and queued uploads
+         * @return {RealUploader} return the current object for chain
+         * @public
+         */
+        pauseAll: function () {
+            //queued files first, so they do not take the slots freed by the running files
+            var queued = this.uploadQueue.slice();
+            for (var i = 0; i < queued.length; i++) {
+                queued[i].pause();
+            }
+            for (var fileId in this.fileList) {
+                if (this.fileList.hasOwnProperty(fileId) && this.fileList[fileId].status == Constants.AX_UPLOADING) {
+                    this.fileList[fileId].pause();
+                }
+            }
+            return this;
+        },
+
+        /**
+         * Resume all the paused files, in the order they were added
+         * @return {RealUploader} return the current object for chain
+         * @public
+         */
+        resumeAll: function () {
+            for (var fileId in this.fileList) {
+                if (this.fileList.hasOwnProperty(fileId) && this.fileList[fileId].status == Constants.AX_PAUSED) {
+                    this.fileList[fileId].resume();
+                }
+            }
+            return this;
+        },
+
+        /**
+         * Listen the browser connection events
+         * @private
+         */
+        _bindOffline: function () {
+            var me = this;
+            window.addEventListener('offline', function () {
+                me._goOffline('event');
+            }, false);
+            window.addEventListener('online', function () {
+                me._goOnline();
+            }, false);
+        },
+        /**
+         * A request failed without server answer. Too many consecutive failures mean that the connection is down
+         * @returns {boolean} true if the uploader is offline, the file has been suspended
+         * @private
+         */
+        _networkError: function () {
+            this.networkErrors++;
+            if (navigator.onLine === false || this.networkErrors >= this.config.offline.threshold) {
+                this._goOffline('failures');
+            }
+            return this.offline;
+        },
+        /**
+         * A request reached the server, reset the network failures counter
+         * @private
+         */
+        _networkOk: function () {
+            this.networkErrors = 0;
+        },
+        /**
+         * Suspend the queue and the running files, they keep the last confirmed byte
+         * @param {String} reason event for the browser event, failures for the repeated network failures
+         * @private
+         */
+        _goOffline: function (reason) {
+            var me = this;
+            if (me.offline || !me.config.offline.enable) return;
+
+            Utils.log('_goOffline:::', reason);
+            me.offline = true;
+            for (var fileId in me.fileList) {
+                if (me.fileList.hasOwnProperty(fileId) && me.fileList[fileId].status == Constants.AX_UPLOADING) {
+                    me.suspendedFiles.push(me.fileList[fileId]);
+                    me.fileList[fileId].pause();
+                }
+            }
+
+            if (me.dom.container) {
+                me.dom.container.classList.add('ax-offline');
+            }
+            if (me.dom.offlineNotice) {
+                me.dom.offlineNotice.innerHTML = _('Connection lost, the upload will continue when it is back');
+                me.dom.offlineNotice.style.display = '';
+            }
+
+            //the browser does not fire online if it never saw the connection down
+            if (reason == 'failures') {
+                me._probeConnection(0);
+            }
+            me.triggerEvent('offline', [reason]);
+        },
+        /**
+         * Schedule a connection check with a HEAD request to the upload url. Any status from the server means online,
+         * a network error schedules the next check with a doubled wait
+         * @param {number} attempt failed checks so far
+         * @private
+         */
+        _probeConnection: function (attempt) {
+            var me = this;
+            var offline = me.config.offline;
+            var delay = Math.min(offline.probeInterval * Math.pow(2, attempt), offline.maxProbeInterval);
+
+            me.offlineProbe = setTimeout(function () {
+                me.offlineProbe = null;
+                //no need to ask the server, the browser knows that there is no network
+                if (navigator.onLine === false) {
+                    me._probeConnection(attempt + 1);
+                    return;
+                }
+
+                me.probeRequest = me.http.send({method: 'HEAD', url: me.config.url, type: 'probe'}, {
+                    done: function () {
+                        me.probeRequest = null;
+                        me._goOnline();
+                    },
+                    error: function (code, msg, xhr) {
+                        me.probeRequest = null;
+                        if (code == 'aborted') return;
+                        if (xhr && xhr.status) {
+                            me._goOnline();
+                        } else {
+                            me._probeConnection(attempt + 1);
+                        }
+                    }
+                });
+            }, delay);
+        },
+        /**
+         * Connection is back, resume the suspended files and the queue
+         * @private
+         */
+        _goOnline: function () {
+            if (!this.offline) return;
+
+            Utils.log('_goOnline:::');
+            this.offline = false;
+            this.networkErrors = 0;
+            if (this.offlineProbe) {
+                clearTimeout(this.offlineProbe);
+                this.offlineProbe = null;
+            }
+            if (this.probeRequest) {
+                var probe = this.probeRequest;
+                this.probeRequest = null;
+                probe.abort();
+            }
+            if (this.dom.container) {
+                this.dom.container.classList.remove('ax-offline');
+            }
+            if (this.dom.offlineNotice) {
+                this.dom.offlineNotice.innerHTML = '';
+                this.dom.offlineNotice.style.display = 'none';
+            }
+            this.triggerEvent('online', []);
+
+            var files = this.suspendedFiles;
+            this.suspendedFiles = [];
+            for (var i = 0; i < files.length; i++) {
+                //files removed or resumed by hand meanwhile are left alone
+                if (files[i].AU && files[i].status == Constants.AX_PAUSED) {
+                    files[i].resume();
+                }
+            }
+            this.processQueue();
+        },
+        /**
+         * Change the upload bandwidth limit of the uploader, applies also to the running uploads from the next chunk
+         * @param {number|String} limit bytes per second or a String of format 512K, 2M. 0 removes the limit
+         * @return {RealUploader} return the current object for chain
+         * @public
+         */
+        setBandwidthLimit: function (limit) {
+            this.config.maxBandwidth = limit;
+            this.bandwidthNext = 0;
+            return this;
+        },
+
+        /**
+         * Reserve bandwidth for a request, shared by all the files of the uploader
+         * @param {number} bytes size of the request
+         * @returns {number} milliseconds to wait before sending the request
+         * @private
+         */
+        _reserveBandwidth: function (bytes) {
+            var limit = this.config.maxBandwidth;
+            if (!limit) return 0;
+
+            var now = new Date().getTime();
+            var start = Math.max(now, this.bandwidthNext);
+            this.bandwidthNext = start + bytes * 1000 / limit;
+            return start - now;
+        },
+
         /**
          * Enable/Disable the uploader
          * @param bool {Boolean} true enables the uploader/ false disables
@@ -1027,71 +1877,181 @@ define(['FileObject', 'Constants', 'Utils', 'i18n'], /** @lends RealUploader */
 
         /**
          * Bind event function. Use this function to bind one or more listener for any event.
-         * Listeners are stored in an array for each type of event
+         * Listeners are stored in an array for each type of event. The event name can have * wildcards (*File, *):
+         * wildcard listeners receive the event name as first parameter and their return value is ignored
          * @param eventSpace name of the event to trigger: can be namespaced: md5Done.myevent
          * @param callback the function to call
          * @param scope the event scope, by default to this
+         * @param {Object} [options] {priority, once}: listeners with higher priority run first (default 0), same
+         * priority in bind order. once removes the listener after the first run
          * @return {RealUploader} Returns this for chain purpose
          */
-        on: function (eventSpace, callback, scope) {
-            var splitEvent = eventSpace.split('.');
-            var event = splitEvent[0];
-            var namespace = splitEvent[1] !== undefined ? splitEvent[1] : '';
+        on: function (eventSpace, callback, scope, options) {
+            var parsed = this._parseEventSpace(eventSpace);
+            var event = parsed.event;
+            options = options || {};
+            if (typeof callback != 'function') {
+                return this;
+            }
 
-            if (this.events[event]) {
-                if (!scope) scope = this;
-                this.events[event].push([callback, scope, namespace]);
+            var listener = {
+                fn: callback,
+                scope: scope || this,
+                event: event,
+                namespace: parsed.namespace,
+                priority: options.priority || 0,
+                once: !!options.once,
+                seq: ++this.listenerSeq,
+                regex: null
+            };
+
+            if (event.indexOf('*') >= 0) {
+                listener.regex = new RegExp('^' + event.replace(/[^\w*]/g, '').replace(/\*/g, '.*') + '$');
+                this.wildcardListeners.push(listener);
+            } else if (this.events[event]) {
+                this.events[event].push(listener);
             }
             return this;
         },
 
         /**
-         * Remove specific event from the listeners
-         * @param event
+         * Bind a listener that runs only once, same parameters of on
+         * @return {RealUploader} Returns this for chain purpose
          */
-        off: function (event) {
-            var splitEvent = eventSpace.split('.');
-            var event = splitEvent[0];
-            var namespace = splitEvent[1] !== undefined ? splitEvent[1] : '';
-            if (this.events[event]) {
-
-                //create an array that will hold the event list
-                var newEvents = [];
-
-                //iterate through the events name
-                for (var i = 0; i < this.events[event].length; i++) {
+        once: function (eventSpace, callback, scope, options) {
+            options = Utils.extend({}, options || {});
+            options.once = true;
+            return this.on(eventSpace, callback, scope, options);
+        },
 
-                    //if the namespace of this event is different from the passed one
-                    //then this event should not be removed so store it in the new list
-                    //NOTE: that in case name space is not set will be in both cases an empty string
-                    if (namespace !== this.events[event][i][2]) {
-                        newEvents.push(this.events[event][i]);
-                    }
+        /**
+         * Remove listeners. The event space selects the event and the namespace: md5Done removes all the md5Done
+         * listeners, md5Done.myevent only the ones of the namespace, .myevent the namespace on all the events.
+         * Wildcard listeners are selected by the same pattern used on bind
+         * @param eventSpace name and/or namespace of the event
+         * @param [callback] remove only the listeners with this function
+         * @return {RealUploader} Returns this for chain purpose
+         */
+        off: function (eventSpace, callback) {
+            var parsed = this._parseEventSpace(eventSpace || '');
+            var keep = function (listener) {
+                return (parsed.event !== '' && parsed.event !== listener.event) ||
+                    (parsed.namespace !== '' && parsed.namespace !== listener.namespace) ||
+                    (typeof callback == 'function' && callback !== listener.fn);
+            };
+
+            for (var event in this.events) {
+                if (this.events.hasOwnProperty(event)) {
+                    this.events[event] = this.events[event].filter(keep);
                 }
-
-                //this action will remove all the other events
-                this.events[event] = newEvents;
             }
+            this.wildcardListeners = this.wildcardListeners.filter(keep);
+            return this;
         },
         /**
          * Trigger a given event, run all callbacks bind on that event by the "on" function or
-         * by the "listeners" property
+         * by the "listeners" property, in priority order
          * @param event
          * @param params
-         * @returns will return the return of the last bind callback return
+         * @returns false if any listener returned false, otherwise the return of the last listener returning a value
          */
         triggerEvent: function (event, params) {
             var ret = null;
             if (this.events[event]) {
                 Utils.log('triggerEvent', event, params);
-                var list = this.events[event];
-                for (var i = 0, len = list.length; i < len; i++) {
-                    var callback = list[i];
-                    ret = callback[0].apply(callback[1], params);
+            }
+            var list = this._getListeners(event);
+            for (var i = 0, len = list.length; i < len; i++) {
+                var result = this._callListener(list[i], event, params);
+                if (result === false || (result !== undefined && ret !== false)) {
+                    ret = result;
                 }
             }
             return ret;
         },
+        /**
+         * Trigger a veto event (beforeUpload, beforeUploadFile, beforePreview). Listeners run in priority order, one
+         * returning false, or a Promise resolved to false or rejected, cancels the action and the next listeners
+         * do not run. Without async listeners the callback runs immediately
+         * @param event
+         * @param params
+         * @param {Function} callback receives true if the action can go on
+         */
+        triggerVeto: function (event, params, callback) {
+            var me = this;
+            var list = me._getListeners(event);
+            var index = 0;
+            Utils.log('triggerVeto', event, params);
+
+            var step = function (result) {
+                if (result === false || index >= list.length) {
+                    callback.call(me, result !== false);
+                    return;
+                }
+                var ret = me._callListener(list[index++], event, params);
+                if (ret && typeof ret.then == 'function') {
+                    ret.then(step, function (err) {
+                        console.error(err);
+                        step(false);
+                    });
+                } else {
+                    step(ret);
+                }
+            };
+            step(undefined);
+        },
+        /**
+         * Split an event space on event name and namespace
+         * @param eventSpace event.namespace
+         * @returns {{event: String, namespace: String}}
+         * @private
+         */
+        _parseEventSpace: function (eventSpace) {
+            var splitEvent = eventSpace.split('.');
+            return {
+                event: splitEvent[0],
+                namespace: splitEvent[1] !== undefined ? splitEvent[1] : ''
+            };
+        },
+        /**
+         * Listeners of an event, wildcard ones included, in run order
+         * @param event
+         * @returns {Array}
+         * @private
+         */
+        _getListeners: function (event) {
+            var list = (this.events[event] || []).slice();
+            for (var i = 0; i < this.wildcardListeners.length; i++) {
+                if (this.wildcardListeners[i].regex.test(event)) {
+                    list.push(this.wildcardListeners[i]);
+                }
+            }
+            return list.sort(function (a, b) {
+                return b.priority - a.priority || a.seq - b.seq;
+            });
+        },
+        /**
+         * Run a listener, once listeners are removed before
+         * @param listener
+         * @param event
+         * @param params
+         * @returns the listener return, undefined for wildcard listeners
+         * @private
+         */
+        _callListener: function (listener, event, params) {
+            if (listener.once) {
+                var list = listener.regex ? this.wildcardListeners : this.events[listener.event];
+                var index = list.indexOf(listener);
+                if (index >= 0) {
+                    list.splice(index, 1);
+                }
+            }
+            if (listener.regex) {
+                listener.fn.apply(listener.scope, [event].concat(params || []));
+                return undefined;
+            }
+            return listener.fn.apply(listener.scope, params || []);
+        },
         debugMode: function (env) {
             Constants.ENV = env;
         }
@@ -0,0 +1,251 @@
+/**
+ * @file S3 upload transport
+ * Direct upload to S3 compatible storages with multipart upload and presigned URLs
+ * @author Alban Xhaferllari
+ * @version 1.0
+ */
+define(['Transport', 'Constants', 'Utils', 'i18n'], /** @lends S3Transport */ function(Transport, Constants, Utils, _) {
+    'use strict';
+
+    var MIN_PART_SIZE = 5 * 1024 * 1024; //S3 minimum part size, except the last part
+
+    /**
+     * Transport for S3 compatible storages (AWS, MinIO...) with the multipart upload API.
+     * The browser never sees the credentials: every request is presigned by the sign callback of the s3 option, which
+     * normally asks the application server. The callback receives {action, file, key, uploadId, partNumber} where
+     * action is one of create (CreateMultipartUpload), part (UploadPart), list (ListParts, for resume),
+     * complete (CompleteMultipartUpload) and abort (AbortMultipartUpload).
+     * The bucket CORS must allow PUT and expose the ETag header
+     * @param {FileObject} file the file to upload
+     * @constructor
+     * @extends Transport
+     * @example
+     * new RealUploader('#uploader', {
+     *     transport: 's3',
+     *     chunkSize: '8M',
+     *     s3: {
+     *         key: function(file) { return 'uploads/' + file.name; },
+     *         sign: function(request) {
+     *             return fetch('/s3/sign?' + ...).then(function(res) { return res.json(); });// {url, headers}
+     *         }
+     *     }
+     * });
+     */
+    var S3Transport = function(file) {
+        Transport.call(this, file);
+        this.options        = file.config.s3;
+        this.parallel       = true;
+        this.minChunkSize   = MIN_PART_SIZE;
+        this.key            = null;     //object key
+        this.parts          = [];       //uploaded parts {partNumber, etag, start, end}
+    };
+
+    S3Transport.prototype = Utils.extend(Object.create(Transport.prototype), {
+        /**
+         * CreateMultipartUpload, the upload id is kept as temp name of the file
+         * @param {Object} cb callbacks
+         */
+        start: function(cb) {
+            var me = this;
+            me.parts = [];
+            var create = me._describe('create');
+            me.signedRequest(create, 'POST', null, {'Content-Type': create.contentType}, {
+                error: cb.error,
+                done: function(xhr) {
+                    var uploadId = me._getXmlValue(me.parseXML(xhr), 'UploadId');
+                    if( !uploadId ) {
+                        cb.error('server_error', _('S3: missing UploadId'), xhr);
+                        return;
+                    }
+                    me.file.setTempName(uploadId);
+                    cb.done();
+                }
+            });
+        },
+        /**
+         * ListParts of the saved upload id, the offset is the size of the contiguous parts from the first one
+         * @param {Object} cb callbacks
+         */
+        getOffset: function(cb) {
+            var me = this;
+            me.signedRequest(me._describe('list'), 'GET', null, null, {
+                error: function(code, msg, xhr) {
+                    //NoSuchUpload, the upload is aborted or completed. Other failures do not tell it
+                    me.isGone(xhr) ? cb.done(0) : cb.error(code, msg, xhr);
+                },
+                done: function(xhr) {
+                    var nodes   = me.parseXML(xhr).getElementsByTagName('Part');
+                    var list    = [];
+                    for( var i = 0; i < nodes.length; i++ ) {
+                        list.push({
+                            partNumber: parseInt(me._getXmlValue(nodes[i], 'PartNumber')),
+                            etag:       me._getXmlValue(nodes[i], 'ETag'),
+                            size:       parseInt(me._getXmlValue(nodes[i], 'Size'))
+                        });
+                    }
+                    list.sort(function(a, b) {
+                        return a.partNumber - b.partNumber;
+                    });
+
+                    //only the parts without holes can be kept, the others are uploaded again
+                    var offset = 0;
+                    me.parts = [];
+                    for( var j = 0; j < list.length && list[j].partNumber === j + 1; j++ ) {
+                        me.parts.push({
+                            partNumber: list[j].partNumber,
+                            etag:       list[j].etag,
+                            start:      offset,
+                            end:        offset + list[j].size
+                        });
+                        offset += list[j].size;
+                    }
+                    cb.done(offset);
+                }
+            });
+        },
+        /**
+         * UploadPart of the chunk to its presigned URL. Part numbers follow the start byte of the chunks
+         * @param {Blob} chunk the chunk to send
+         * @param {Object} info {start, end, isLast, parallel}
+         * @param {Object} cb callbacks
+         * @returns {{abort: Function}}
+         */
+        sendChunk: function(chunk, info, cb) {
+            var me      = this;
+            var part    = me._getPart(info.start, info.end);
+
+            return me.signedRequest(me._describe('part', part.partNumber), 'PUT', chunk, null, {
+                progress: cb.progress,
+                error: cb.error,
+                done: function(xhr) {
+                    var etag = xhr.getResponseHeader('ETag');
+                    if( !etag ) {
+                        cb.error('server_error', _('S3: missing ETag, expose it on the bucket CORS'), xhr);
+                        return;
+                    }
+                    part.etag = etag;
+                    cb.done({partNumber: part.partNumber, etag: etag});
+                }
+            });
+        },
+        /**
+         * CompleteMultipartUpload with the list of parts and ETags
+         * @param {Object} cb callbacks
+         */
+        finalize: function(cb) {
+            var me      = this;
+            var file    = me.file;
+            var parts   = me.contiguous(me.parts);
+            var xml     = ['<CompleteMultipartUpload>'];
+            if( !parts ) {
+                cb.error('error', _('S3: missing parts of the file'), null);
+                return;
+            }
+            for( var i = 0; i < parts.length; i++ ) {
+                xml.push('<Part><PartNumber>' + parts[i].partNumber + '</PartNumber><ETag>' +
+                    parts[i].etag + '</ETag></Part>');
+            }
+            xml.push('</CompleteMultipartUpload>');
+
+            me.signedRequest(me._describe('complete'), 'POST', xml.join(''), {'Content-Type': 'application/xml'}, {
+                error: cb.error,
+                done: function(xhr) {
+                    //S3 can answer 200 with an error in the body
+                    var doc = me.parseXML(xhr);
+                    if( doc.getElementsByTagName('Error').length ) {
+                        cb.error('server_error', me._getXmlValue(doc, 'Message') || _('S3: complete failed'), xhr);
+                        return;
+                    }
+                    cb.done({
+                        name:   file.name,
+                        size:   file.size,
+                        status: Constants.AX_DONE,
+                        info:   me.key,
+                        url:    me._getXmlValue(doc, 'Location'),
+                        key:    me.key,
+                        etag:   me._getXmlValue(doc, 'ETag')
+                    });
+                }
+            });
+        },
+        /**
+         * Stop the running requests. The parts after the confirmed byte of the file are dropped, on resume they are
+         * sent again from there, also with another chunk size
+         */
+        abort: function() {
+            var confirmed = this.file.currentByte;
+            Transport.prototype.abort.call(this);
+            this.parts = this.parts.filter(function(part) {
+                return part.start < confirmed;
+            });
+        },
+        /**
+         * AbortMultipartUpload, S3 removes the uploaded parts
+         * @param {Object} cb callbacks
+         */
+        terminate: function(cb) {
+            this.signedRequest(this._describe('abort'), 'DELETE', null, null, cb);
+            this.parts = [];
+        },
+        /**
+         * Get the object key from the s3 option, the file name by default
+         * @returns {String}
+         * @private
+         */
+        _getKey: function() {
+            if( this.key === null ) {
+                var key = this.options.key;
+                this.key = typeof key == 'function' ? key.call(this.file.AU, this.file) : (key || '') + this.file.name;
+            }
+            return this.key;
+        },
+        /**
+         * Description of a request for the sign callback: action, key, uploadId, partNumber and contentType
+         * @param {String} action create, part, list, complete or abort
+         * @param {Number} [partNumber] part number for the part action
+         * @returns {Object}
+         * @private
+         */
+        _describe: function(action, partNumber) {
+            return {
+                action:     action,
+                key:        this._getKey(),
+                uploadId:   this.file.tempFileName,
+                partNumber: partNumber || null,
+                contentType: this.file.file.type || 'application/octet-stream'
+            };
+        },
+        /**
+         * Get the part of a chunk, a retry of the same chunk keeps the part number. The parts are created in byte
+         * order, so the part numbers follow the start bytes
+         * @param {Number} start start byte
+         * @param {Number} end end byte
+         * @returns {Object}
+         * @private
+         */
+        _getPart: function(start, end) {
+            for( var i = 0; i < this.parts.length; i++ ) {
+                if( this.parts[i].start === start ) {
+                    this.parts[i].end = end;
+                    return this.parts[i];
+                }
+            }
+            var part = {partNumber: this.parts.length + 1, etag: null, start: start, end: end};
+            this.parts.push(part);
+            return part;
+        },
+        /**
+         * Text of the first element with the tag name
+         * @param {Document|Element} node
+         * @param {String} tag
+         * @returns {String|null}
+         * @private
+         */
+        _getXmlValue: function(node, tag) {
+            var list = node.getElementsByTagName(tag);
+            return list.length ? list[0].textContent : null;
+        }
+    });
+
+    return S3Transport;
+});
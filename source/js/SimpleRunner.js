@@ -16,6 +16,7 @@ define( /** @lends SimpleRunner */ function(){
     var SimpleRunner = function (scope) {
         this._yes = [];
         this._no = [];
+        this._error = [];
         this._always = [];
         this.scope = scope;
     };
@@ -39,6 +40,15 @@ define( /** @lends SimpleRunner */ function(){
             this._no.push(cb);
             return this;
         },
+        /**
+         * Adds callback to the failure, when neither answer can be given. It receives the run arguments
+         * @param cb
+         * @returns {SimpleRunner}
+         */
+        error: function (cb) {
+            this._error.push(cb);
+            return this;
+        },
         /**
          * Callbacks that runs always after the deferred is resolved
          * @param cb
@@ -48,21 +58,36 @@ define( /** @lends SimpleRunner */ function(){
             this._always.push(cb);
             return this;
         },
+        /**
+         * Promise version of the yes/no callbacks. Resolves with true on yes and false on no
+         * @returns {Promise}
+         */
+        promise: function () {
+            var me = this;
+            return new Promise(function (resolve) {
+                me.yes(function () {
+                    resolve(true);
+                }).no(function () {
+                    resolve(false);
+                });
+            });
+        },
         /**
          * Run the selected queue of callbacks
          * @param queue
+         * @param {Array} [args] arguments of the callbacks
          * @returns {SimpleRunner}
          */
-        run: function (queue) {
+        run: function (queue, args) {
             if (this['_' + queue]) {
                 //contact the always callbacks to the current one, to run
                 var list = this['_' + queue].concat(this._always);
                 for (var i = 0; i < list.length; i++) {
                     var fun = list[i];
                     if (fun.fn) {
-                        fun.fn.call(fun.scope || this.scope);
+                        fun.fn.apply(fun.scope || this.scope, args || []);
                     } else if (typeof fun == 'function') {
-                        fun.call(this.scope);
+                        fun.apply(this.scope, args || []);
                     }
                 }
             }
@@ -0,0 +1,313 @@
+/**
+ * @file Upload transport
+ * Base class of the wire protocols used by FileObject for sending the file to the server
+ * @author Alban Xhaferllari
+ * @version 1.0
+ */
+define(['i18n'], /** @lends Transport */ function(_) {
+    'use strict';
+
+    /**
+     * Base transport. A transport knows how to talk with the server, FileObject keeps the upload logic: queue, chunk
+     * sizes, retry policy, bandwidth limit, pause and resume. One transport instance is created for every file.
+     *
+     * All the asynchronous operations receive a callbacks object cb with:
+     * - done(result) on success
+     * - error(code, msg, xhr) on failure. Code is 'retry' for network errors and the status codes of the retry
+     *   policy, 'aborted' when the request is aborted, 'resync' when the server has another offset of the upload,
+     *   the upload goes on from the offset of getOffset, 'server_error' or 'error' for the other failures
+     * - progress(loaded) only for sendChunk, the bytes of the chunk sent until now
+     *
+     * The operations are:
+     * - start(cb) prepares the upload on the server, runs before the first chunk of a new upload
+     * - lookup(cb) done with the response of a completed upload if the server already has the file content (same md5
+     *   and size), null otherwise. Used by the instantUpload option
+     * - exists(cb) done with true if the file already exists on the server, for the checkFileExists option
+     * - getOffset(cb) done with the byte confirmed by the server of the upload saved on file.tempFileName, 0 if the
+     *   upload does not exist anymore. Asked also on resume after a pause. Error when the server cannot answer now,
+     *   the saved upload is kept
+     * - sendChunk(chunk, info, cb) sends a chunk, info has {start, end, isLast, parallel, hash}, hash is the
+     *   {algorithm, value} digest of the chunk with the chunkHash option, null otherwise. Returns an object with
+     *   an abort method, normally the one returned by request
+     * - finalize(cb) completes the upload, done with the server response {name, size, status, info, more}
+     * - abort() stops all the running requests of the transport, the upload can be resumed later
+     * - terminate(cb) optional, deletes the upload on the server when the user stops or removes a started upload
+     *
+     * @param {FileObject} file the file to upload
+     * @constructor
+     * @example
+     * var MyTransport = function(file) {
+     *     Transport.call(this, file);
+     * };
+     * MyTransport.prototype = Utils.extend(Object.create(Transport.prototype), {
+     *     sendChunk: function(chunk, info, cb) {
+     *         return this.request('PUT', url, chunk, {'Content-Range': ...}, cb);
+     *     }
+     * });
+     * uploader.registerTransport('my', MyTransport);
+     */
+    var Transport = function(file) {
+        this.file       = file;             //FileObject of the upload
+        this.config     = file.config;      //uploader configuration
+        this.requests   = [];               //running requests, for the abort
+        this.parallel   = false;            //true if the protocol accepts chunks at the same time
+        this.minChunkSize = 0;              //minimum size of the chunks but the last one, required by some services
+        this.options    = {};               //options of the transport, the sign callback is taken from here
+    };
+
+    Transport.prototype = {
+        /**
+         * Prepares the upload on the server. Nothing to do by default
+         * @param {Object} cb callbacks
+         */
+        start: function(cb) {
+            cb.done();
+        },
+        /**
+         * Find the file content on the server, for the instant upload. Not found by default
+         * @param {Object} cb callbacks
+         */
+        lookup: function(cb) {
+            cb.done(null);
+        },
+        /**
+         * Check if the file exists on the server. The file does not exist by default
+         * @param {Object} cb callbacks
+         */
+        exists: function(cb) {
+            cb.done(false);
+        },
+        /**
+         * Get the confirmed offset of the upload to resume. By default the byte confirmed in this page, a saved
+         * upload cannot be resumed after a reload
+         * @param {Object} cb callbacks
+         */
+        getOffset: function(cb) {
+            cb.done(this.file.currentByte);
+        },
+        /**
+         * Send a chunk of the file, must be implemented by the transports
+         * @param {Blob} chunk the chunk to send
+         * @param {Object} info {start, end, isLast, parallel, hash}
+         * @param {Object} cb callbacks
+         * @returns {{abort: Function}}
+         */
+        sendChunk: function(chunk, info, cb) {
+            throw new Error('Transport::sendChunk not implemented');
+        },
+        /**
+         * Completes the upload. Done with an empty response by default
+         * @param {Object} cb callbacks
+         */
+        finalize: function(cb) {
+            cb.done({});
+        },
+        /**
+         * Stop all the running requests of the transport
+         */
+        abort: function() {
+            var list = this.requests;
+            this.requests = [];
+            for (var i = 0; i < list.length; i++) {
+                list[i].abort();
+            }
+        },
+        /**
+         * Check if a failed request tells that the upload does not exist anymore on the server, 404 or 410 status
+         * @param {XMLHttpRequest|null} xhr the failed request
+         * @returns {boolean}
+         */
+        isGone: function(xhr) {
+            return !!xhr && (xhr.status == 404 || xhr.status == 410);
+        },
+        /**
+         * Ranges {start, end} of the list that follow each other from the first byte, in byte order. Ranges of chunks
+         * sent again after a resume with another size are left out
+         * @param {Array} list ranges of the uploaded chunks
+         * @returns {Array|null} null if the ranges do not cover the whole file
+         */
+        contiguous: function(list) {
+            var sorted  = list.slice().sort(function(a, b) {
+                return a.start - b.start;
+            });
+            var result  = [];
+            var offset  = 0;
+            for (var i = 0; i < sorted.length; i++) {
+                //an empty file has a single empty chunk
+                if (sorted[i].start === offset && (sorted[i].end > offset || !result.length)) {
+                    result.push(sorted[i]);
+                    offset = sorted[i].end;
+                }
+            }
+            return offset >= this.file.size && result.length ? result : null;
+        },
+        /**
+         * Send a request with the http client of the uploader, so the interceptors apply. Done runs with the xhr on 2xx
+         * status
+         * @param {String} method HTTP method
+         * @param {String} url
+         * @param {*} body data to send
+         * @param {Object|null} headers headers to set name => value
+         * @param {Object} cb callbacks
+         * @param {String} [type='upload'] type of request for the interceptors
+         * @returns {{xhr: XMLHttpRequest, abort: Function}}
+         */
+        request: function(method, url, body, headers, cb, type) {
+            var me      = this;
+            var handle  = null;
+
+            var finish = function() {
+                var index = me.requests.indexOf(handle);
+                if (index >= 0) {
+                    me.requests.splice(index, 1);
+                }
+            };
+
+            handle = me.file.AU.http.send({
+                method:     method,
+                url:        url,
+                body:       body,
+                headers:    headers,
+                type:       type || 'upload',
+                file:       me.file
+            }, {
+                progress: cb.progress,
+                done: function(xhr) {
+                    finish();
+                    cb.done(xhr);
+                },
+                error: function(code, msg, xhr) {
+                    finish();
+                    cb.error(code, msg, xhr);
+                }
+            });
+            if (!handle.finished) {
+                me.requests.push(handle);
+            }
+            return handle;
+        },
+        /**
+         * Get a signed request (presigned URL) from the sign callback of the transport options.
+         * The callback receives the request description and a done function, it can either call done, return the
+         * result or return a Promise. The result is the URL or an object {url, headers}
+         * @param {Object} request description of the request, action and the transport specific values
+         * @param {Object} cb callbacks, done receives {url, headers}
+         */
+        sign: function(request, cb) {
+            var me      = this;
+            var settled = false;
+            var resolve = function(result) {
+                if( settled ) return;
+                settled = true;
+                if( typeof result == 'string' ) {
+                    result = {url: result};
+                }
+                if( !result || !result.url ) {
+                    cb.error('error', _('No signed URL for') + ' ' + request.action);
+                    return;
+                }
+                cb.done(result);
+            };
+            var reject = function(err) {
+                if( settled ) return;
+                settled = true;
+                cb.error('error', err && err.message ? err.message : String(err));
+            };
+
+            if( typeof me.options.sign != 'function' ) {
+                reject(_('The sign callback is missing'));
+                return;
+            }
+
+            request.file = me.file;
+            try {
+                var ret = me.options.sign.call(me.file.AU, request, resolve);
+                if( ret && typeof ret.then == 'function' ) {
+                    ret.then(resolve, reject);
+                } else if( ret ) {
+                    resolve(ret);
+                }
+            } catch (err) {
+                reject(err);
+            }
+        },
+        /**
+         * Sign the request with the sign callback and then send it. Returns at once an object with the abort method,
+         * that can stop the request also while waiting for the signed URL
+         * @param {Object} signRequest description of the request to sign, see sign
+         * @param {String} method HTTP method
+         * @param {*} body data to send
+         * @param {Object|null} headers headers to set name => value, the signed headers are added
+         * @param {Object} cb callbacks
+         * @returns {{abort: Function}}
+         */
+        signedRequest: function(signRequest, method, body, headers, cb) {
+            var me      = this;
+            var handle  = {
+                xhr: null,
+                aborted: false,
+                abort: function() {
+                    if( this.xhr ) {
+                        this.xhr.abort();
+                    } else if( !this.aborted ) {
+                        this.aborted = true;
+                        cb.error('aborted', _('Upload aborted'), null);
+                    }
+                }
+            };
+            var finish = function() {
+                var index = me.requests.indexOf(handle);
+                if( index >= 0 ) {
+                    me.requests.splice(index, 1);
+                }
+            };
+
+            me.requests.push(handle);
+            me.sign(signRequest, {
+                done: function(signed) {
+                    finish();
+                    if( handle.aborted ) return;
+                    var all = {}, name;
+                    for( name in headers ) {
+                        if( headers.hasOwnProperty(name) ) all[name] = headers[name];
+                    }
+                    for( name in signed.headers ) {
+                        if( signed.headers.hasOwnProperty(name) ) all[name] = signed.headers[name];
+                    }
+                    handle.xhr = me.request(method, signed.url, body, all, cb);
+                },
+                error: function(code, msg) {
+                    finish();
+                    if( !handle.aborted ) {
+                        cb.error(code, msg, null);
+                    }
+                }
+            });
+            return handle;
+        },
+        /**
+         * Parse a XML response
+         * @param {XMLHttpRequest} xhr
+         * @returns {Document}
+         */
+        parseXML: function(xhr) {
+            return new DOMParser().parseFromString(xhr.responseText, 'application/xml');
+        },
+        /**
+         * Parse a JSON response, calls the error callback if not valid
+         * @param {XMLHttpRequest} xhr
+         * @param {Object} cb callbacks
+         * @returns {Object|null}
+         */
+        parseJSON: function(xhr, cb) {
+            try {
+                return JSON.parse(xhr.responseText);
+            } catch (err) {
+                cb.error('server_error', err.toString(), xhr);
+                return null;
+            }
+        }
+    };
+
+    return Transport;
+});
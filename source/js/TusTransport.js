@@ -0,0 +1,226 @@
+/**
+ * @file tus upload transport
+ * Upload to a tus 1.0 server: creation, HEAD for the offset, PATCH for the chunks and termination
+ * @author Alban Xhaferllari
+ * @version 1.0
+ * @see https://tus.io/protocols/resumable-upload.html
+ */
+define(['Transport', 'Constants', 'Utils', 'i18n'], /** @lends TusTransport */ function(Transport, Constants, Utils, _) {
+    'use strict';
+
+    var TUS_VERSION = '1.0.0';
+
+    /**
+     * Transport of the tus 1.0 protocol, with the creation and termination extensions.
+     * The upload URL returned by the creation request is kept as file temp name, so with the resumable option the
+     * upload continues after a page reload. The server must expose the Location and Upload-Offset headers on CORS
+     * @param {FileObject} file the file to upload
+     * @constructor
+     * @extends Transport
+     * @example
+     * new RealUploader('#uploader', {
+     *     transport: 'tus',
+     *     tus: {
+     *         endpoint: 'https://tus.example.com/files/',
+     *         headers: {Authorization: 'Bearer ...'}
+     *     }
+     * });
+     */
+    var TusTransport = function(file) {
+        Transport.call(this, file);
+        this.options = file.config.tus;
+        this.offsetKnown = true;    //false after a failed PATCH, the server can have stored part of the chunk
+    };
+
+    TusTransport.prototype = Utils.extend(Object.create(Transport.prototype), {
+        /**
+         * Creation extension: POST to the endpoint with the upload length, the server returns the upload URL
+         * @param {Object} cb callbacks
+         */
+        start: function(cb) {
+            var me      = this;
+            var file    = me.file;
+            var headers = me.getHeaders({
+                'Upload-Length':    file.size,
+                'Upload-Metadata':  me.getMetadata()
+            });
+
+            me.request('POST', me.getEndpoint(), null, headers, {
+                error: cb.error,
+                done: function(xhr) {
+                    var location = xhr.getResponseHeader('Location');
+                    if( !location ) {
+                        cb.error('server_error', _('tus: missing Location header on upload creation'), xhr);
+                        return;
+                    }
+                    file.setTempName( me.resolveUrl(location) );
+                    me.offsetKnown = true;
+                    cb.done();
+                }
+            });
+        },
+        /**
+         * HEAD on the upload URL returns the confirmed offset on the Upload-Offset header
+         * @param {Object} cb callbacks
+         */
+        getOffset: function(cb) {
+            var me = this;
+            me.request('HEAD', me.file.tempFileName, null, me.getHeaders({'Cache-Control': 'no-store'}), {
+                done: function(xhr) {
+                    me.offsetKnown = true;
+                    cb.done( parseInt(xhr.getResponseHeader('Upload-Offset')) || 0 );
+                },
+                error: function(code, msg, xhr) {
+                    //404 or 410, the upload does not exist anymore. Other failures do not tell it
+                    me.isGone(xhr) ? cb.done(0) : cb.error(code, msg, xhr);
+                }
+            });
+        },
+        /**
+         * Send the chunk. After a failed or aborted PATCH the server can have stored part of it, so the offset is
+         * asked again with a HEAD and only the missing bytes are sent
+         * @param {Blob} chunk the chunk to send
+         * @param {Object} info {start, end, isLast, parallel}
+         * @param {Object} cb callbacks
+         * @returns {{abort: Function}}
+         */
+        sendChunk: function(chunk, info, cb) {
+            var me = this;
+            if( me.offsetKnown ) {
+                return me.patch(chunk, info.start, info, cb);
+            }
+
+            var handle = {
+                current: null,
+                abort: function() {
+                    if( this.current ) this.current.abort();
+                }
+            };
+            handle.current = me.request('HEAD', me.file.tempFileName, null, me.getHeaders({'Cache-Control': 'no-store'}), {
+                error: cb.error,
+                done: function(xhr) {
+                    var offset = parseInt(xhr.getResponseHeader('Upload-Offset'));
+                    if( isNaN(offset) || offset < info.start || offset > info.end ) {
+                        cb.error('server_error', _('tus: unexpected Upload-Offset') + ' ' + offset, xhr);
+                        return;
+                    }
+                    me.offsetKnown = true;
+                    if( offset == info.end ) {
+                        cb.done({offset: offset});
+                        return;
+                    }
+                    handle.current = me.patch(chunk.slice(offset - info.start), offset, info, cb);
+                }
+            });
+            return handle;
+        },
+        /**
+         * PATCH bytes of the chunk on the upload URL at the given offset
+         * @param {Blob} data the bytes to send, the end of the chunk
+         * @param {Number} offset file offset of the first byte of data
+         * @param {Object} info {start, end, isLast, parallel} of the chunk
+         * @param {Object} cb callbacks of the chunk
+         * @returns {{xhr: XMLHttpRequest, abort: Function}}
+         */
+        patch: function(data, offset, info, cb) {
+            var me      = this;
+            var skipped = offset - info.start;
+            var headers = me.getHeaders({
+                'Upload-Offset':    offset,
+                'Content-Type':     'application/offset+octet-stream'
+            });
+
+            return me.request('PATCH', me.file.tempFileName, data, headers, {
+                progress: function(loaded) {
+                    if( cb.progress ) cb.progress(loaded + skipped);
+                },
+                error: function(code, msg, xhr) {
+                    me.offsetKnown = false;
+                    cb.error(code, msg, xhr);
+                },
+                done: function(xhr) {
+                    var confirmed = parseInt(xhr.getResponseHeader('Upload-Offset'));
+                    if( confirmed !== info.end ) {
+                        cb.error('server_error', _('tus: unexpected Upload-Offset') + ' ' + confirmed, xhr);
+                        return;
+                    }
+                    cb.done({offset: confirmed});
+                }
+            });
+        },
+        /**
+         * tus has no finalize request, the upload is complete with the last PATCH
+         * @param {Object} cb callbacks
+         */
+        finalize: function(cb) {
+            var file = this.file;
+            cb.done({
+                name:   file.name,
+                size:   file.size,
+                status: Constants.AX_DONE,
+                info:   file.tempFileName,
+                url:    file.tempFileName
+            });
+        },
+        /**
+         * Termination extension: DELETE the upload on the server
+         * @param {Object} cb callbacks
+         */
+        terminate: function(cb) {
+            this.request('DELETE', this.file.tempFileName, null, this.getHeaders({}), cb);
+        },
+        /**
+         * The endpoint for the upload creation, the upload url by default
+         * @returns {String}
+         */
+        getEndpoint: function() {
+            return this.options.endpoint || this.config.url;
+        },
+        /**
+         * Build the request headers with the tus version and the custom headers of the tus option
+         * @param {Object} headers headers of the request
+         * @returns {Object}
+         */
+        getHeaders: function(headers) {
+            return Utils.extend(Utils.extend({'Tus-Resumable': TUS_VERSION}, this.options.headers), headers);
+        },
+        /**
+         * Build the Upload-Metadata header: comma separated list of key and base64 value
+         * @returns {String}
+         */
+        getMetadata: function() {
+            var file        = this.file;
+            var metadata    = this.options.metadata;
+            if( typeof metadata == 'function' ) {
+                metadata = metadata.call(this, file);
+            }
+            metadata = Utils.extend({
+                filename: file.name,
+                filetype: file.file.type || 'application/octet-stream'
+            }, metadata || {});
+            if( file.md5 ) {
+                metadata.md5 = file.md5;
+            }
+
+            var list = [];
+            for( var key in metadata ) {
+                if( metadata.hasOwnProperty(key) ) {
+                    //btoa works only on latin1, encode the unicode chars as utf8 first
+                    list.push(key + ' ' + window.btoa(unescape(encodeURIComponent(String(metadata[key])))));
+                }
+            }
+            return list.join(',');
+        },
+        /**
+         * The Location header can be relative to the endpoint
+         * @param {String} location
+         * @returns {String}
+         */
+        resolveUrl: function(location) {
+            var endpoint = new URL(this.getEndpoint(), window.location.href);
+            return new URL(location, endpoint).href;
+        }
+    });
+
+    return TusTransport;
+});
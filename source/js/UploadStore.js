@@ -0,0 +1,159 @@
+/**
+ * @file Upload state persistence
+ * Keeps the state of the in-flight uploads in IndexedDB, so they can be resumed after a page reload or a crash
+ * @author Alban Xhaferllari
+ * @version 1.0
+ */
+define(['Utils'], /** @lends UploadStore */ function(Utils) {
+    'use strict';
+
+    var DB_VERSION = 1;
+    var STORE_NAME = 'uploads';
+
+    /**
+     * Small IndexedDB wrapper that stores the upload state of the files indexed by the file fingerprint
+     * Every record has the form {fingerprint, tempFileName, currentByte, size, time}
+     * @param {String} dbName name of the IndexedDB database
+     * @constructor
+     * @example
+     * var store = new UploadStore('realuploader');
+     * store.get(fingerprint, function(state){
+     *     console.log(state.tempFileName, state.currentByte);
+     * });
+     */
+    var UploadStore = function(dbName) {
+        this.dbName     = dbName;
+        this.db         = null;
+        this._waiting   = [];   //callbacks waiting for the database to open
+        this.supported  = !!window.indexedDB;
+        this._open();
+    };
+
+    UploadStore.prototype = {
+        /**
+         * Open the database and creates the object store on first run
+         * @private
+         */
+        _open: function() {
+            var me = this;
+            if (!me.supported) return;
+
+            try {
+                var request = window.indexedDB.open(me.dbName, DB_VERSION);
+                request.onupgradeneeded = function() {
+                    var db = this.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, {keyPath: 'fingerprint'});
+                    }
+                };
+                request.onsuccess = function() {
+                    me.db = this.result;
+                    me._flush();
+                };
+                request.onerror = function() {
+                    Utils.log('UploadStore: cannot open database', this.error);
+                    me.supported = false;
+                    me._flush();
+                };
+            } catch (e) {
+                //private mode on some browsers throws on open
+                me.supported = false;
+            }
+        },
+        /**
+         * Run the callbacks that were waiting for the database
+         * @private
+         */
+        _flush: function() {
+            var list = this._waiting;
+            this._waiting = [];
+            for (var i = 0; i < list.length; i++) {
+                list[i].call(this);
+            }
+        },
+        /**
+         * Run the function when the database is ready, or immediately if IndexedDB is not available
+         * @param {Function} fn
+         * @private
+         */
+        _ready: function(fn) {
+            if (this.db || !this.supported) {
+                fn.call(this);
+            } else {
+                this._waiting.push(fn);
+            }
+        },
+        /**
+         * Open a transaction on the object store
+         * @param {String} mode readonly/readwrite
+         * @returns {IDBObjectStore|null}
+         * @private
+         */
+        _store: function(mode) {
+            if (!this.db) return null;
+            try {
+                return this.db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+            } catch (e) {
+                Utils.log('UploadStore: transaction failed', e);
+                return null;
+            }
+        },
+        /**
+         * Get the saved upload state of a file
+         * @param {String} fingerprint the file fingerprint
+         * @param {Function} cb called with the saved state or null if nothing is saved
+         * @returns {UploadStore}
+         */
+        get: function(fingerprint, cb) {
+            this._ready(function() {
+                var store = this._store('readonly');
+                if (!store) {
+                    cb(null);
+                    return;
+                }
+                var request = store.get(fingerprint);
+                request.onsuccess = function() {
+                    cb(this.result || null);
+                };
+                request.onerror = function() {
+                    cb(null);
+                };
+            });
+            return this;
+        },
+        /**
+         * Save the upload state of a file
+         * @param {String} fingerprint the file fingerprint
+         * @param {Object} state the state to save: tempFileName, currentByte, size
+         * @returns {UploadStore}
+         */
+        save: function(fingerprint, state) {
+            this._ready(function() {
+                var store = this._store('readwrite');
+                if (store) {
+                    var record = Utils.extend({}, state);
+                    record.fingerprint = fingerprint;
+                    record.time = new Date().getTime();
+                    store.put(record);
+                }
+            });
+            return this;
+        },
+        /**
+         * Remove the upload state of a file, normally when the upload is finished
+         * @param {String} fingerprint the file fingerprint
+         * @returns {UploadStore}
+         */
+        remove: function(fingerprint) {
+            this._ready(function() {
+                var store = this._store('readwrite');
+                if (store) {
+                    store['delete'](fingerprint);
+                }
+            });
+            return this;
+        }
+    };
+
+    return UploadStore;
+});
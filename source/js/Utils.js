@@ -158,6 +158,21 @@ define(['i18n', 'Constants'], function(_, Constants) {
             var floor       = Math.round((size * multiFactor ) % multiFactor);
             return intVal + '.' + floor + ' ' + suffix[i];
         },
+        /**
+         * Helper function for formatting a duration in seconds as h:mm:ss or m:ss
+         * @param {number} seconds
+         * @returns {string} the formatted string
+         */
+        formatTime: function (seconds) {
+            seconds = Math.max(0, Math.round(seconds));
+            var h = Math.floor(seconds / 3600);
+            var m = Math.floor((seconds % 3600) / 60);
+            var s = seconds % 60;
+            var pad = function (n) {
+                return (n < 10 ? '0' : '') + n;
+            };
+            return (h > 0 ? h + ':' + pad(m) : m) + ':' + pad(s);
+        },
 
         /**
          * Fast extend deep function. Faster than jQuery and other methods
@@ -307,7 +322,7 @@ define(['i18n', 'Constants'], function(_, Constants) {
         ajaxPost: function (url, data, cb) {
             var xhr = new XMLHttpRequest();
             if (typeof cb == 'function') {
-                this.onreadystatechange = function () {
+                xhr.onreadystatechange = function () {
                     if (this.readyState == 4 && this.status == 200) {
                         var results = this.responseText;
                         try {
@@ -23,7 +23,14 @@ define(/** @lends Translator */ function () {
             'File uploaded 100%': 'File uploaded 100%',
             'Max files number reached': 'Max files number reached',
             'Extension not allowed': 'Extension not allowed',
-            'File size now allowed': 'File size now allowed'
+            'File size now allowed': 'File size now allowed',
+            'File type not allowed': 'File type not allowed',
+            'File too small': 'File too small',
+            'Image dimensions not allowed': 'Image dimensions not allowed',
+            'Validation failed': 'Validation failed',
+            'Validating': 'Validating',
+            'File content does not match its type': 'File content does not match its type',
+            'File removed': 'File removed'
         },
         'it_IT': {
             'Add files': 'Aggiungi file',
@@ -43,7 +50,14 @@ define(/** @lends Translator */ function () {
             'File uploaded 100%': 'File caricato 100%',
             'Max files number reached': 'Max files number reached',
             'Extension not allowed': 'Estensione file non permessa',
-            'File size now allowed': 'Dimensione file non permessa'
+            'File size now allowed': 'Dimensione file non permessa',
+            'File type not allowed': 'Tipo di file non permesso',
+            'File too small': 'File troppo piccolo',
+            'Image dimensions not allowed': 'Dimensioni immagine non permesse',
+            'Validation failed': 'Validazione fallita',
+            'Validating': 'Validazione',
+            'File content does not match its type': 'Il contenuto del file non corrisponde al suo tipo',
+            'File removed': 'File rimosso'
         },
         'sq_AL': {
             'Add files': 'Shto file',
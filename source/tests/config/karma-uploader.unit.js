@@ -0,0 +1,47 @@
+/**
+ * Karma configuration of the uploader specs, the AMD modules are loaded by require.js from tests/test-main.js
+ */
+module.exports = function(config) {
+    config.set({
+
+        // basepath to use
+        basePath: '../../',
+
+        //testing frameworks to use
+        frameworks: ['jasmine', 'requirejs'],
+
+        //files to load for loading our app
+        files: [
+            {
+                pattern: 'js/**/*.js',
+                watched: true,
+                included: false,
+                served: true
+            },
+            {
+                pattern: 'tests/specs/uploader/**/*.js',
+                watched: true,
+                included: false,
+                served: true
+            },
+            'tests/test-main.js'
+        ],
+        plugins: [
+            'karma-jasmine',
+            'karma-requirejs',
+            'karma-chrome-launcher',
+            'karma-firefox-launcher'
+        ],
+        // Start these browsers, currently available:
+        // - Chrome
+        // - ChromeCanary
+        // - Firefox
+        // - Opera
+        // - Safari (only Mac)
+        // - IE (only Windows)
+        browsers: [ 'Chrome'],
+        colors: true,
+        singleRun: false,
+        autoWatch: true
+    });
+};
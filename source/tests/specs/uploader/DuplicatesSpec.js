@@ -0,0 +1,158 @@
+/**
+ * Duplicate files: the default keeps them, reject and replace by metadata and by content md5
+ */
+define(['RealUploader', 'Constants', 'Utils', 'helpers/FakeXhr'], function(RealUploader, Constants, Utils, FakeXhr) {
+
+    var createFile = function(name, size, lastModified) {
+        return new File([new Uint8Array(size)], name, {lastModified: lastModified || 1});
+    };
+
+    /**
+     * Worker answering the md5 calculation on the next tick, the md5 is made from the file size
+     */
+    var FakeWorker = function() {};
+    FakeWorker.prototype = {
+        postMessage: function(data) {
+            var me = this;
+            setTimeout(function() {
+                me.onmessage && me.onmessage({data: {status: 'end', result: 'md5-' + data.file.size}});
+            }, 0);
+        },
+        terminate: function() {}
+    };
+
+    var waitFor = function(condition, callback) {
+        var check = function() {
+            condition() ? callback() : setTimeout(check, 5);
+        };
+        check();
+    };
+
+    describe('Duplicate files', function() {
+        var uploader, errors;
+
+        var create = function(config) {
+            uploader = new RealUploader(null, Object.assign({headless: true, url: 'upload.php', language: 'en_EN'}, config));
+            errors = [];
+            uploader.on('errorFile', function(err, name) {
+                errors.push({error: err[0].error, name: name, kept: err[0].param});
+            });
+        };
+
+        beforeEach(function() {
+            FakeXhr.install();
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('keeps both files by default', function() {
+            create({});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            uploader.addFiles([createFile('a.txt', 10)]);
+            expect(Object.keys(uploader.fileList).length).toBe(2);
+            expect(errors).toEqual([]);
+        });
+
+        it('rejects the file added again with reject', function() {
+            create({duplicates: 'reject'});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            var first = uploader.fileList.file_1;
+            uploader.addFiles([createFile('a.txt', 10), createFile('a.txt', 10, 2)]);
+            expect(Object.keys(uploader.fileList).length).toBe(2);
+            expect(uploader.fileList.file_1).toBe(first);
+            expect(errors).toEqual([{error: 'DUPLICATE', name: 'a.txt', kept: first}]);
+        });
+
+        it('removes the old file with replace', function() {
+            create({duplicates: 'replace'});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            uploader.addFiles([createFile('a.txt', 10)]);
+            var ids = Object.keys(uploader.fileList);
+            expect(ids.length).toBe(1);
+            expect(errors[0].error).toBe('DUPLICATE');
+            expect(errors[0].kept).toBe(uploader.fileList[ids[0]]);
+        });
+
+        it('keeps the old file when the replacement fails the validation', function(done) {
+            var reject = false;
+            create({duplicates: 'replace', maxFiles: 1, validators: [function() {
+                return reject ? Promise.resolve('Too late') : true;
+            }]});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            var first = uploader.fileList.file_1;
+            reject = true;
+            uploader.addFiles([createFile('a.txt', 10)]);
+            expect(uploader.fileList.file_1).toBe(first);
+
+            waitFor(function() {
+                return errors.length > 0;
+            }, function() {
+                expect(Object.keys(uploader.fileList)).toEqual(['file_1']);
+                expect(errors).toEqual([{error: 'USER_ERROR', name: 'a.txt', kept: ''}]);
+                done();
+            });
+        });
+
+        it('replaces the old file once the replacement passes the async validation', function(done) {
+            create({duplicates: 'replace', validators: [function() {
+                return Promise.resolve(true);
+            }]});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            uploader.addFiles([createFile('a.txt', 10)]);
+            expect(Object.keys(uploader.fileList)).toEqual(['file_1', 'file_2']);
+
+            waitFor(function() {
+                return errors.length > 0;
+            }, function() {
+                expect(Object.keys(uploader.fileList)).toEqual(['file_2']);
+                expect(errors).toEqual([{error: 'DUPLICATE', name: 'a.txt', kept: uploader.fileList.file_2}]);
+                done();
+            });
+        });
+
+        it('does not replace a file already uploading', function() {
+            create({duplicates: 'replace'});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            var first = uploader.fileList.file_1;
+            first.upload();
+            uploader.addFiles([createFile('a.txt', 10)]);
+            expect(Object.keys(uploader.fileList)).toEqual(['file_1']);
+            expect(first.status).not.toBe(Constants.AX_IDLE);
+            expect(errors).toEqual([{error: 'DUPLICATE', name: 'a.txt', kept: first}]);
+        });
+
+        describe('by content', function() {
+            beforeEach(function() {
+                spyOn(Utils, 'runInBackground').and.callFake(function() {
+                    return new FakeWorker();
+                });
+            });
+
+            it('removes the newer file once the md5 is calculated, without breaking its queue', function(done) {
+                create({duplicates: 'reject', duplicateCheck: 'hash'});
+                uploader.addFiles([createFile('a.txt', 10), createFile('b.txt', 10), createFile('c.txt', 20)]);
+                var first = uploader.fileList.file_1;
+                var newer = uploader.fileList.file_2;
+                var removed = newer.ready().then(null, function(error) {
+                    return error;
+                });
+
+                waitFor(function() {
+                    return errors.length > 0;
+                }, function() {
+                    expect(Object.keys(uploader.fileList)).toEqual(['file_1', 'file_3']);
+                    expect(errors).toEqual([{error: 'DUPLICATE', name: 'b.txt', kept: first}]);
+                    removed.then(function(error) {
+                        expect(error.code).toBe('REMOVED');
+                        return first.ready();
+                    }).then(function() {
+                        expect(first.md5).toBe('md5-10');
+                        done();
+                    }).catch(done.fail);
+                });
+            });
+        });
+    });
+});
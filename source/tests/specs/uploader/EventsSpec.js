@@ -0,0 +1,124 @@
+/**
+ * Event API: priority, once, off, wildcards and the vetoes of beforeUpload and beforeUploadFile
+ */
+define(['RealUploader', 'Constants', 'helpers/FakeXhr'], function(RealUploader, Constants, FakeXhr) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    var uploaded = function(xhr) {
+        return {status: 200, body: {name: xhr.param('ax-file-name'), temp_name: 'tmp', status: 1, info: 'File uploaded'}};
+    };
+
+    describe('The event API', function() {
+        var uploader;
+
+        beforeEach(function() {
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN'});
+        });
+
+        it('calls the listeners by priority, then in order of registration', function() {
+            var calls = [];
+            uploader.on('start', function() { calls.push('a'); });
+            uploader.on('start', function() { calls.push('b'); }, null, {priority: 10});
+            uploader.on('start', function() { calls.push('c'); });
+            uploader.triggerEvent('start', []);
+            expect(calls).toEqual(['b', 'a', 'c']);
+        });
+
+        it('removes once listeners after the first call', function() {
+            var listener = jasmine.createSpy('listener');
+            uploader.once('start', listener);
+            uploader.triggerEvent('start', [1]);
+            uploader.triggerEvent('start', [2]);
+            expect(listener.calls.count()).toBe(1);
+            expect(listener).toHaveBeenCalledWith(1);
+        });
+
+        it('removes by callback and by namespace', function() {
+            var a = jasmine.createSpy('a'), b = jasmine.createSpy('b'), c = jasmine.createSpy('c');
+            uploader.on('start', a);
+            uploader.on('start', b);
+            uploader.on('start.mine', c);
+            uploader.on('finish.mine', c);
+            uploader.off('start', a);
+            uploader.off('.mine');
+            uploader.triggerEvent('start', []);
+            uploader.triggerEvent('finish', []);
+            expect(a).not.toHaveBeenCalled();
+            expect(b).toHaveBeenCalled();
+            expect(c).not.toHaveBeenCalled();
+        });
+
+        it('passes the event name to the wildcard listeners', function() {
+            var listener = jasmine.createSpy('listener');
+            uploader.on('*File', listener);
+            uploader.triggerEvent('startFile', ['x']);
+            uploader.triggerEvent('start', ['y']);
+            expect(listener.calls.allArgs()).toEqual([['startFile', 'x']]);
+        });
+
+        it('vetoes with false or a rejected promise', function(done) {
+            spyOn(console, 'error');
+            uploader.on('beforeUpload', function() { return true; });
+            uploader.triggerVeto('beforeUpload', [], function(allowed) {
+                expect(allowed).toBe(true);
+                uploader.on('beforeUpload', function() { return Promise.reject(new Error('no')); });
+                uploader.triggerVeto('beforeUpload', [], function(allowed) {
+                    expect(allowed).toBe(false);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('The upload vetoes', function() {
+        var uploader;
+
+        beforeEach(function() {
+            FakeXhr.install(uploaded);
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN'});
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('stops the upload when beforeUpload resolves to false', function(done) {
+            uploader.on('beforeUpload', function() {
+                return Promise.resolve(false);
+            });
+            uploader.addFiles([createFile('a.txt', 10)]);
+            uploader.upload().then(done.fail, function(error) {
+                expect(error.code).toBe('beforeUpload');
+                expect(uploader.uploadQueue).toEqual([]);
+                expect(FakeXhr.requests.length).toBe(0);
+                done();
+            });
+        });
+
+        it('restores the file status on a beforeUploadFile veto, so it can be uploaded later', function(done) {
+            var allow = false;
+            uploader.on('beforeUploadFile', function() {
+                return Promise.resolve(allow);
+            });
+            uploader.addFiles([createFile('a.txt', 10)]);
+            var file = uploader.fileList.file_1;
+
+            file.upload().then(done.fail, function(error) {
+                expect(error.code).toBe('beforeUploadFile');
+                expect(file.status).toBe(Constants.AX_READY);
+                expect(uploader.slots).toBe(uploader.config.maxConnections);
+                expect(FakeXhr.requests.length).toBe(0);
+
+                allow = true;
+                return file.upload().then(function(response) {
+                    expect(response.name).toBe('a.txt');
+                    expect(file.status).toBe(Constants.AX_DONE);
+                    done();
+                });
+            }).catch(done.fail);
+        });
+    });
+});
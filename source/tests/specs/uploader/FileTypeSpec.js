@@ -0,0 +1,144 @@
+/**
+ * Content sniffing by magic bytes and the contentCheck option
+ */
+define(['RealUploader', 'FileType', 'Constants'], function(RealUploader, FileType, Constants) {
+
+    var bytes = function(list, size) {
+        var array = new Uint8Array(size || 64);
+        for( var i = 0; i < list.length; i++ ) {
+            array[i] = typeof list[i] == 'string' ? list[i].charCodeAt(0) : list[i];
+        }
+        return array;
+    };
+    var text = function(string, size) {
+        return bytes(string.split(''), size);
+    };
+    var zipEntry = function(name, data) {
+        var header = new Uint8Array(30 + name.length + data.length);
+        header.set([0x50, 0x4B, 0x03, 0x04]);
+        header[18] = header[22] = data.length;
+        header[26] = name.length;
+        header.set(text(name, name.length), 30);
+        header.set(text(data, data.length), 30 + name.length);
+        return header;
+    };
+    var concat = function(list) {
+        var size = list.reduce(function(total, item) { return total + item.length; }, 0);
+        var result = new Uint8Array(size);
+        var offset = 0;
+        list.forEach(function(item) {
+            result.set(item, offset);
+            offset += item.length;
+        });
+        return result;
+    };
+
+    var JPEG    = bytes([0xFF, 0xD8, 0xFF, 0xE0]);
+    var EXE     = text('MZ\u0090');
+
+    describe('The file type detection', function() {
+
+        it('detects the types by the magic bytes', function() {
+            expect(FileType.fromBytes(JPEG).mime).toBe('image/jpeg');
+            expect(FileType.fromBytes(bytes([0x89, 'P', 'N', 'G', 0x0D, 0x0A, 0x1A, 0x0A])).ext).toBe('png');
+            expect(FileType.fromBytes(text('%PDF-1.7')).ext).toBe('pdf');
+            expect(FileType.fromBytes(text('RIFF\u0000\u0000\u0000\u0000WEBP')).ext).toBe('webp');
+            expect(FileType.fromBytes(EXE).ext).toBe('exe');
+            expect(FileType.fromBytes(text('plain text'))).toBeNull();
+        });
+
+        it('reads the ftyp brand of the ISO media files', function() {
+            expect(FileType.fromBytes(text('\u0000\u0000\u0000\u0018ftypisom')).ext).toBe('mp4');
+            expect(FileType.fromBytes(text('\u0000\u0000\u0000\u0018ftypqt  ')).ext).toBe('mov');
+            expect(FileType.fromBytes(text('\u0000\u0000\u0000\u0018ftypheic')).mime).toBe('image/heic');
+        });
+
+        it('finds the zip based formats by the entries', function() {
+            var docx = concat([zipEntry('[Content_Types].xml', '<x/>'), zipEntry('word/document.xml', '<d/>')]);
+            var odt = concat([zipEntry('mimetype', 'application/vnd.oasis.opendocument.text'), zipEntry('content.xml', 'x')]);
+            var zip = FileType.fromBytes(zipEntry('a.txt', 'abc'));
+
+            expect(FileType.fromBytes(docx).ext).toBe('docx');
+            expect(FileType.fromBytes(odt).ext).toBe('odt');
+            expect(zip.ext).toBe('zip');
+            expect(zip.extensions).toContain('xlsx');
+        });
+    });
+
+    describe('The contentCheck option', function() {
+        var errors;
+
+        var create = function(config) {
+            var uploader = new RealUploader(null, Object.assign({headless: true, language: 'en_EN'}, config));
+            uploader.on('errorFile', function(list, name) {
+                errors.push({name: name, error: list[0].error});
+            });
+            return uploader;
+        };
+        var add = function(uploader, name, content, callback) {
+            var file = new File([content], name, {lastModified: 1});
+            var added = uploader.fileIndex + 1;
+            uploader.addFiles([file]);
+            var wait = function() {
+                var fileObj = uploader.fileList['file_' + added];
+                if( fileObj && fileObj.status == Constants.AX_VALIDATING ) {
+                    setTimeout(wait, 1);
+                } else {
+                    callback(fileObj);
+                }
+            };
+            wait();
+        };
+
+        beforeEach(function() {
+            errors = [];
+        });
+
+        it('does not read the files when disabled', function() {
+            spyOn(FileType, 'detect');
+            var uploader = create({});
+            uploader.addFiles([new File([EXE], 'a.jpg')]);
+            expect(FileType.detect).not.toHaveBeenCalled();
+            expect(uploader.fileList.file_1.detectedType).toBeNull();
+        });
+
+        it('rejects a file with the content of another type', function(done) {
+            var uploader = create({contentCheck: true});
+            add(uploader, 'photo.jpg', EXE, function(file) {
+                expect(file).toBeUndefined();
+                expect(errors).toEqual([{name: 'photo.jpg', error: 'CONTENT_MISMATCH'}]);
+                done();
+            });
+        });
+
+        it('accepts the matching content and the unknown types', function(done) {
+            var uploader = create({contentCheck: true});
+            add(uploader, 'photo.jpeg', JPEG, function(file) {
+                expect(file.detectedType.mime).toBe('image/jpeg');
+                add(uploader, 'notes.txt', text('hello'), function(file) {
+                    expect(file.detectedType).toBeNull();
+                    expect(errors).toEqual([]);
+                    done();
+                });
+            });
+        });
+
+        it('checks the detected type against accept', function(done) {
+            var uploader = create({contentCheck: true, accept: 'image/*'});
+            add(uploader, 'doc.pdf', text('%PDF-1.4'), function(file) {
+                expect(file).toBeUndefined();
+                expect(errors[0].error).toBe('CONTENT_MISMATCH');
+                done();
+            });
+        });
+
+        it('only detects the type with detect', function(done) {
+            var uploader = create({contentCheck: 'detect'});
+            add(uploader, 'photo.jpg', EXE, function(file) {
+                expect(file.detectedType.ext).toBe('exe');
+                expect(errors).toEqual([]);
+                done();
+            });
+        });
+    });
+});
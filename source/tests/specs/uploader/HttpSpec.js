@@ -0,0 +1,200 @@
+/**
+ * Http client: request and response interceptors, replay after a token refresh, cancel and abort of the requests
+ */
+define(['RealUploader', 'helpers/FakeXhr'], function(RealUploader, FakeXhr) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    describe('The http client', function() {
+        var uploader, http, token;
+
+        /**
+         * Send a request with the client, the callback receives the result {type, code, msg, xhr}
+         * @param {Function} callback
+         * @returns {{xhr: XMLHttpRequest, abort: Function}}
+         */
+        var send = function(callback) {
+            return http.send({method: 'POST', url: 'upload.php', body: null, headers: {'X-Test': '1'}, type: 'check'}, {
+                done: function(xhr) {
+                    callback({type: 'done', xhr: xhr});
+                },
+                error: function(code, msg, xhr) {
+                    callback({type: 'error', code: code, msg: msg, xhr: xhr});
+                }
+            });
+        };
+
+        beforeEach(function() {
+            token = 'old';
+            //the server accepts only the current token
+            FakeXhr.install(function(xhr) {
+                return xhr.requestHeaders.Authorization == 'Bearer ' + token ? {status: 200, body: {}} : {status: 401};
+            });
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN',
+                offline: {enable: false}, headers: {'X-Base': 'base'}});
+            http = uploader.http;
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('runs the request interceptors in order before the request, also the async ones', function(done) {
+            var calls = [];
+            http.addRequestInterceptor(function(request) {
+                calls.push('first:' + request.type);
+                return new Promise(function(resolve) {
+                    setTimeout(function() {
+                        request.headers.Authorization = 'Bearer old';
+                        resolve();
+                    }, 5);
+                });
+            });
+            http.addRequestInterceptor(function(request) {
+                calls.push('second:' + request.headers.Authorization);
+                request.url += '?signed=1';
+            });
+
+            send(function(result) {
+                expect(result.type).toBe('done');
+                expect(calls).toEqual(['first:check', 'second:Bearer old']);
+                expect(FakeXhr.requests.length).toBe(1);
+                expect(FakeXhr.requests[0].url).toBe('upload.php?signed=1');
+                expect(FakeXhr.requests[0].requestHeaders).toEqual({'X-Base': 'base', 'X-Test': '1', Authorization: 'Bearer old'});
+                done();
+            });
+        });
+
+        it('cancels the request when a request interceptor returns false', function(done) {
+            var later = jasmine.createSpy('later');
+            http.addRequestInterceptor(function() {
+                return Promise.resolve(false);
+            });
+            http.addRequestInterceptor(later);
+
+            send(function(result) {
+                expect(result.type).toBe('error');
+                expect(result.code).toBe('error');
+                expect(result.msg).toBe('Request cancelled');
+                expect(later).not.toHaveBeenCalled();
+                expect(FakeXhr.requests.length).toBe(0);
+                done();
+            });
+        });
+
+        it('replays the request after a token refresh on 401', function(done) {
+            var replays = [];
+            http.addRequestInterceptor(function(request) {
+                replays.push(request.replays);
+                request.headers.Authorization = 'Bearer ' + (request.replays ? 'new' : 'old');
+            });
+            http.addResponseInterceptor(function(response) {
+                if( response.status == 401 && response.request.replays < 1 ) {
+                    return new Promise(function(resolve) {
+                        setTimeout(function() {
+                            resolve(true);
+                        }, 5);
+                    });
+                }
+            });
+            //the old token is expired on the server
+            token = 'new';
+
+            send(function(result) {
+                expect(result.type).toBe('done');
+                expect(replays).toEqual([0, 1]);
+                expect(FakeXhr.requests.map(function(xhr) {
+                    return xhr.requestHeaders.Authorization;
+                })).toEqual(['Bearer old', 'Bearer new']);
+                done();
+            });
+        });
+
+        it('fails with the last answer when the replays are over', function(done) {
+            http.addRequestInterceptor(function(request) {
+                request.headers.Authorization = 'Bearer expired';
+            });
+            http.addResponseInterceptor(function(response) {
+                return response.status == 401 && response.request.replays < 2;
+            });
+
+            send(function(result) {
+                expect(result.type).toBe('error');
+                expect(result.code).toBe('error');
+                expect(result.xhr.status).toBe(401);
+                expect(FakeXhr.requests.length).toBe(3);
+                done();
+            });
+        });
+
+        it('aborts a request waiting for an async request interceptor, it is never sent', function(done) {
+            var resolveInterceptor;
+            http.addRequestInterceptor(function() {
+                return new Promise(function(resolve) {
+                    resolveInterceptor = resolve;
+                });
+            });
+
+            var results = [];
+            var handle = send(function(result) {
+                results.push(result);
+            });
+            handle.abort();
+            resolveInterceptor();
+
+            setTimeout(function() {
+                expect(results.length).toBe(1);
+                expect(results[0].code).toBe('aborted');
+                expect(handle.finished).toBe(true);
+                expect(FakeXhr.requests.length).toBe(0);
+                done();
+            }, 10);
+        });
+
+        it('aborts a request waiting for an async response interceptor', function(done) {
+            var resolveInterceptor;
+            http.addResponseInterceptor(function() {
+                return new Promise(function(resolve) {
+                    resolveInterceptor = resolve;
+                });
+            });
+
+            var results = [];
+            var handle = send(function(result) {
+                results.push(result);
+            });
+
+            setTimeout(function() {
+                expect(FakeXhr.requests.length).toBe(1);
+                handle.abort();
+                resolveInterceptor(true);
+
+                setTimeout(function() {
+                    expect(results.length).toBe(1);
+                    expect(results[0].code).toBe('aborted');
+                    expect(FakeXhr.requests.length).toBe(1);
+                    done();
+                }, 10);
+            }, 10);
+        });
+
+        it('runs the interceptors of the config on the upload requests', function(done) {
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN',
+                offline: {enable: false}, requestInterceptors: [function(request) {
+                    request.headers.Authorization = 'Bearer ' + token;
+                }]});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            FakeXhr.handler = function(xhr) {
+                return {status: 200, body: {name: xhr.param('ax-file-name'), temp_name: 'tmp', status: 1, info: 'File uploaded'}};
+            };
+
+            uploader.fileList.file_1.upload().then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(FakeXhr.requests[0].requestHeaders.Authorization).toBe('Bearer old');
+                done();
+            }).catch(done.fail);
+        });
+    });
+});
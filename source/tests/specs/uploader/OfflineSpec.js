@@ -0,0 +1,157 @@
+/**
+ * Offline detection by network failures: the connection checks ask the server, with a growing wait between them.
+ * The notice of the connection loss and the resume of the suspended files from the server offset
+ */
+define(['RealUploader', 'Constants', 'helpers/FakeXhr'], function(RealUploader, Constants, FakeXhr) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    var waitFor = function(condition, callback) {
+        var check = function() {
+            condition() ? callback() : setTimeout(check, 5);
+        };
+        check();
+    };
+
+    describe('The offline detection by failures', function() {
+        var uploader, network, events;
+
+        beforeEach(function() {
+            jasmine.clock().install();
+            network = false;
+            FakeXhr.install(function() {
+                return network ? {status: 405} : {network: true};
+            });
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN',
+                offline: {threshold: 2, probeInterval: 100, maxProbeInterval: 300}});
+            events = [];
+            uploader.on('offline', function(reason) { events.push('offline ' + reason); });
+            uploader.on('online', function() { events.push('online'); });
+
+            uploader._networkError();
+            uploader._networkError();
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+            jasmine.clock().uninstall();
+        });
+
+        it('goes offline after the threshold of failures', function() {
+            expect(uploader.offline).toBe(true);
+            expect(events).toEqual(['offline failures']);
+            expect(FakeXhr.requests.length).toBe(0);
+        });
+
+        it('stays offline while the server does not answer, doubling the wait up to the maximum', function() {
+            var heads = function() {
+                return FakeXhr.find('HEAD', 'upload.php').length;
+            };
+
+            jasmine.clock().tick(100);
+            expect(heads()).toBe(1);
+            jasmine.clock().tick(1);
+
+            jasmine.clock().tick(198);
+            expect(heads()).toBe(1);
+            jasmine.clock().tick(1);
+            expect(heads()).toBe(2);
+            jasmine.clock().tick(1);
+
+            jasmine.clock().tick(299);
+            expect(heads()).toBe(3);
+            jasmine.clock().tick(1);
+            jasmine.clock().tick(300);
+            expect(heads()).toBe(4);
+            expect(uploader.offline).toBe(true);
+            expect(events).toEqual(['offline failures']);
+        });
+
+        it('goes online on any answer of the server', function() {
+            jasmine.clock().tick(101);
+            expect(uploader.offline).toBe(true);
+
+            network = true;
+            jasmine.clock().tick(200);
+            expect(FakeXhr.requests.length).toBe(2);
+            jasmine.clock().tick(1);
+            expect(uploader.offline).toBe(false);
+            expect(events).toEqual(['offline failures', 'online']);
+
+            //no more checks once online
+            jasmine.clock().tick(1000);
+            expect(FakeXhr.requests.length).toBe(2);
+        });
+
+        it('stops the checks when the browser fires online', function() {
+            jasmine.clock().tick(100);
+            var probe = FakeXhr.requests[0];
+            window.dispatchEvent(new Event('online'));
+
+            expect(probe.aborted).toBe(true);
+            expect(uploader.offline).toBe(false);
+            jasmine.clock().tick(1000);
+            expect(FakeXhr.requests.length).toBe(1);
+        });
+    });
+
+    describe('The connection loss', function() {
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('shows the notice only while offline', function() {
+            FakeXhr.install();
+            var uploader = new RealUploader(document.createElement('div'), {url: 'upload.php', language: 'en_EN'});
+            var notice = uploader.dom.offlineNotice;
+            expect(notice.style.display).toBe('none');
+            expect(notice.innerHTML).toBe('');
+
+            window.dispatchEvent(new Event('offline'));
+            expect(notice.style.display).toBe('');
+            expect(notice.innerHTML).toBe('Connection lost, the upload will continue when it is back');
+
+            window.dispatchEvent(new Event('online'));
+            expect(notice.style.display).toBe('none');
+            expect(notice.innerHTML).toBe('');
+        });
+
+        it('resumes a suspended file from the offset of the server', function(done) {
+            var stored = 0, writes = [];
+            FakeXhr.install(function(xhr) {
+                if( xhr.param('ax-get-offset') ) {
+                    return {status: 200, body: {status: 1, info: 'Offset found', temp_name: 'tmp', offset: stored}};
+                }
+                var start = parseInt(xhr.param('ax-start-byte'));
+                writes.push(start);
+                stored = start + xhr.param('ax_file_input').size;
+                //the second chunk is written but the answer is lost with the connection
+                if( start == 10 && writes.length == 2 ) return null;
+                return {status: 200, body: {name: xhr.param('ax-file-name'), temp_name: 'tmp', status: 1,
+                    info: stored < 40 ? 'Chunk uploaded' : 'File uploaded'}};
+            });
+            var uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN', chunkSize: 10});
+            uploader.addFiles([createFile('a.txt', 40)]);
+            var file = uploader.fileList.file_1;
+
+            file.upload().then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(FakeXhr.requests.filter(function(xhr) {
+                    return xhr.param('ax-get-offset');
+                }).length).toBe(1);
+                expect(writes).toEqual([0, 10, 20, 30]);
+                done();
+            }).catch(done.fail);
+
+            waitFor(function() {
+                return writes.length == 2;
+            }, function() {
+                window.dispatchEvent(new Event('offline'));
+                expect(file.status).toBe(Constants.AX_PAUSED);
+                window.dispatchEvent(new Event('online'));
+            });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Pause and resume: the paused file keeps its confirmed byte and gives back its slot, the resume continues from the
+ * offset of the server
+ */
+define(['RealUploader', 'Constants', 'helpers/FakeXhr'], function(RealUploader, Constants, FakeXhr) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    var waitFor = function(condition, callback) {
+        var check = function() {
+            condition() ? callback() : setTimeout(check, 5);
+        };
+        check();
+    };
+
+    describe('The pause of an upload', function() {
+        var uploader, server, events;
+
+        var create = function(maxConnections, files) {
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN', chunkSize: 10,
+                maxConnections: maxConnections, offline: {enable: false}});
+            events = [];
+            uploader.on('pauseFile', function(file, byte) { events.push('pause ' + file.name + ' ' + byte); });
+            uploader.on('resumeFile', function(file, byte) { events.push('resume ' + file.name + ' ' + byte); });
+            uploader.addFiles(files.map(function(name) {
+                return createFile(name, 40);
+            }));
+        };
+
+        var writes = function(name) {
+            return server.writes.filter(function(write) {
+                return write.name == name;
+            }).map(function(write) {
+                return write.start;
+            });
+        };
+
+        beforeEach(function() {
+            //temp files of the server by file name, the third chunk of the hold files is written but stays without answer
+            server = {stored: {}, writes: [], hold: []};
+            FakeXhr.install(function(xhr) {
+                var name = xhr.param('ax-file-name');
+                if( xhr.param('ax-get-offset') ) {
+                    return {status: 200, body: {status: 1, info: 'Offset found', temp_name: name,
+                        offset: server.stored[name]}};
+                }
+                var start = parseInt(xhr.param('ax-start-byte'));
+                server.writes.push({name: name, start: start});
+                server.stored[name] = start + xhr.param('ax_file_input').size;
+                if( server.hold.indexOf(name) >= 0 && start == 20 ) return null;
+                return {status: 200, body: {name: name, temp_name: name, status: 1,
+                    info: server.stored[name] < 40 ? 'Chunk uploaded' : 'File uploaded'}};
+            });
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('keeps the confirmed byte and gives back the slot, the resume goes on from the server offset', function(done) {
+            create(1, ['a.txt']);
+            server.hold = ['a.txt'];
+            var file = uploader.fileList.file_1;
+            var upload = file.upload();
+
+            waitFor(function() {
+                return writes('a.txt').length == 3;
+            }, function() {
+                file.pause();
+                expect(file.status).toBe(Constants.AX_PAUSED);
+                expect(file.currentByte).toBe(20);
+                expect(uploader.slots).toBe(1);
+                expect(FakeXhr.requests[2].aborted).toBe(true);
+
+                server.hold = [];
+                file.resume();
+                upload.then(function(response) {
+                    expect(response.name).toBe('a.txt');
+                    //the chunk written before the pause is not sent again
+                    expect(writes('a.txt')).toEqual([0, 10, 20, 30]);
+                    expect(events).toEqual(['pause a.txt 20', 'resume a.txt 20']);
+                    expect(uploader.slots).toBe(1);
+                    done();
+                }).catch(done.fail);
+            });
+        });
+
+        it('takes a paused file out of the queue until it is resumed', function(done) {
+            create(1, ['a.txt', 'b.txt']);
+            uploader.startUpload();
+            var second = uploader.fileList.file_2;
+            second.pause();
+            expect(second.status).toBe(Constants.AX_PAUSED);
+            expect(uploader.uploadQueue.indexOf(second)).toBe(-1);
+
+            waitFor(function() {
+                return uploader.fileList.file_1.status == Constants.AX_DONE;
+            }, function() {
+                setTimeout(function() {
+                    expect(writes('b.txt')).toEqual([]);
+                    expect(second.status).toBe(Constants.AX_PAUSED);
+
+                    uploader.resumeAll();
+                    waitFor(function() {
+                        return second.status == Constants.AX_DONE;
+                    }, function() {
+                        expect(writes('b.txt')).toEqual([0, 10, 20, 30]);
+                        expect(events).toEqual(['pause b.txt 0', 'resume b.txt 0']);
+                        done();
+                    });
+                }, 20);
+            });
+        });
+
+        it('pauses and resumes all the files', function(done) {
+            create(2, ['a.txt', 'b.txt', 'c.txt']);
+            server.hold = ['a.txt', 'b.txt'];
+            uploader.startUpload();
+
+            waitFor(function() {
+                return writes('a.txt').length == 3 && writes('b.txt').length == 3;
+            }, function() {
+                uploader.pauseAll();
+                expect(Object.keys(uploader.fileList).map(function(fileId) {
+                    return uploader.fileList[fileId].status;
+                })).toEqual([Constants.AX_PAUSED, Constants.AX_PAUSED, Constants.AX_PAUSED]);
+                expect(uploader.slots).toBe(2);
+
+                server.hold = [];
+                uploader.resumeAll();
+                waitFor(function() {
+                    return uploader.fileList.file_3.status == Constants.AX_DONE;
+                }, function() {
+                    expect(writes('a.txt')).toEqual([0, 10, 20, 30]);
+                    expect(writes('b.txt')).toEqual([0, 10, 20, 30]);
+                    expect(writes('c.txt')).toEqual([0, 10, 20, 30]);
+                    expect(uploader.slots).toBe(2);
+                    done();
+                });
+            });
+        });
+    });
+});
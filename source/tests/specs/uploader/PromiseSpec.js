@@ -0,0 +1,122 @@
+/**
+ * Promise API: fileObject.ready, fileObject.upload and uploader.upload
+ */
+define(['RealUploader', 'Constants', 'helpers/FakeXhr'], function(RealUploader, Constants, FakeXhr) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    //upload.php answer of a completed chunk
+    var uploaded = function(xhr) {
+        return {status: 200, body: {name: xhr.param('ax-file-name'), temp_name: 'tmp', status: 1, info: 'File uploaded'}};
+    };
+
+    describe('The promise API', function() {
+        var uploader;
+
+        beforeEach(function() {
+            FakeXhr.install(uploaded);
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN'});
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('resolves ready when the pre-upload functions end', function(done) {
+            uploader.addFiles([createFile('a.txt', 10)]);
+            var file = uploader.fileList.file_1;
+            expect(typeof file.ready).toBe('function');
+            file.ready().then(function(ready) {
+                expect(ready).toBe(file);
+                expect(file.isReady).toBe(true);
+                done();
+            });
+        });
+
+        it('resolves the upload of a file with the server response', function(done) {
+            uploader.addFiles([createFile('a.txt', 10)]);
+            uploader.fileList.file_1.upload().then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(response.status).toBe(Constants.AX_DONE);
+                done();
+            }, done.fail);
+        });
+
+        it('uploads again a failed file', function(done) {
+            var calls = 0;
+            FakeXhr.handler = function(xhr) {
+                return ++calls == 1 ? {status: 500} : uploaded(xhr);
+            };
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN',
+                retry: {maxAttempts: 0}, offline: {enable: false}});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            var file = uploader.fileList.file_1;
+
+            file.upload().then(done.fail, function(error) {
+                expect(file.status).toBe(Constants.AX_ERROR);
+                return file.upload();
+            }).then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(file.status).toBe(Constants.AX_DONE);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('resolves the upload of a completed file without queueing it', function(done) {
+            uploader.addFiles([createFile('a.txt', 10)]);
+            var file = uploader.fileList.file_1;
+
+            file.upload().then(function() {
+                return file.upload();
+            }).then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(uploader.uploadQueue).toEqual([]);
+                expect(FakeXhr.requests.length).toBe(1);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('rejects ready and upload when the file is removed', function(done) {
+            uploader.config.validators = [function() {
+                return new Promise(function() {});
+            }];
+            uploader.addFiles([createFile('a.txt', 10)]);
+            var file = uploader.fileList.file_1;
+            var ready = file.ready();
+            var upload = file.upload();
+
+            file.destroy();
+            Promise.all([
+                ready.then(done.fail, function(error) { return error; }),
+                upload.then(done.fail, function(error) { return error; })
+            ]).then(function(errors) {
+                expect(errors[0].code).toBe('REMOVED');
+                expect(errors[1].code).toBe('REMOVED');
+                expect(errors[1].file).toBe(file);
+                done();
+            });
+        });
+
+        it('settles uploader.upload when a queued file is removed', function(done) {
+            var release;
+            uploader.config.validators = [function(file) {
+                return file.name == 'slow.txt' ? new Promise(function(resolve) { release = resolve; }) : null;
+            }];
+            uploader.addFiles([createFile('a.txt', 10), createFile('slow.txt', 10)]);
+            var slow = uploader.fileList.file_2;
+
+            uploader.upload().then(function(results) {
+                expect(results.map(function(r) { return r.success; })).toEqual([true, false]);
+                expect(results[1].error.code).toBe('REMOVED');
+                done();
+            }, done.fail);
+
+            setTimeout(function() {
+                expect(slow.status).toBe(Constants.AX_VALIDATING);
+                slow.destroy();
+            }, 10);
+        });
+    });
+});
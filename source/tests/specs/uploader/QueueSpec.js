@@ -0,0 +1,160 @@
+/**
+ * Upload slots of the queue: the maxConnections limit and the slots of the files stopped or removed while checking
+ */
+define(['RealUploader', 'Constants', 'helpers/FakeXhr'], function(RealUploader, Constants, FakeXhr) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    var uploaded = function(xhr) {
+        return {status: 200, body: {name: xhr.param('ax-file-name'), temp_name: 'tmp', status: 1, info: 'File uploaded'}};
+    };
+
+    var waitFor = function(condition, callback) {
+        var check = function() {
+            condition() ? callback() : setTimeout(check, 5);
+        };
+        check();
+    };
+
+    var sentNames = function() {
+        return FakeXhr.requests.map(function(xhr) {
+            return xhr.param('ax-file-name');
+        });
+    };
+
+    describe('The upload slots', function() {
+        var uploader, first, second, release;
+
+        var create = function(maxConnections) {
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN',
+                maxConnections: maxConnections, offline: {enable: false}});
+        };
+
+        //the first file waits an async beforeUploadFile listener, the spec answers it with release
+        var createChecking = function() {
+            create(1);
+            uploader.on('beforeUploadFile', function(file) {
+                if( file.name == 'a.txt' ) {
+                    return new Promise(function(resolve) {
+                        release = resolve;
+                    });
+                }
+            });
+            uploader.addFiles([createFile('a.txt', 10), createFile('b.txt', 10)]);
+            first = uploader.fileList.file_1;
+            second = uploader.fileList.file_2;
+        };
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('uploads no more files than maxConnections at the same time', function(done) {
+            FakeXhr.install();
+            create(2);
+            uploader.addFiles([createFile('a.txt', 10), createFile('b.txt', 10), createFile('c.txt', 10)]);
+            uploader.startUpload();
+
+            waitFor(function() {
+                return FakeXhr.requests.length == 2;
+            }, function() {
+                setTimeout(function() {
+                    expect(FakeXhr.requests.length).toBe(2);
+                    expect(uploader.slots).toBe(0);
+                    FakeXhr.requests[0].respond(200, {}, uploaded(FakeXhr.requests[0]).body);
+
+                    waitFor(function() {
+                        return FakeXhr.requests.length == 3;
+                    }, function() {
+                        FakeXhr.requests.slice(1).forEach(function(xhr) {
+                            xhr.respond(200, {}, uploaded(xhr).body);
+                        });
+                        waitFor(function() {
+                            return uploader.fileList.file_3.status == Constants.AX_DONE;
+                        }, function() {
+                            expect(sentNames()).toEqual(['a.txt', 'b.txt', 'c.txt']);
+                            expect(uploader.slots).toBe(2);
+                            done();
+                        });
+                    });
+                }, 20);
+            });
+        });
+
+        it('gives back the slot of a file removed while checking', function(done) {
+            FakeXhr.install(uploaded);
+            createChecking();
+            uploader.startUpload();
+
+            waitFor(function() {
+                return first.status == Constants.AX_CHECK && release;
+            }, function() {
+                expect(second.status).toBe(Constants.AX_READY);
+                first.destroy();
+
+                waitFor(function() {
+                    return second.status == Constants.AX_DONE;
+                }, function() {
+                    release(true);
+                    setTimeout(function() {
+                        expect(sentNames()).toEqual(['b.txt']);
+                        expect(uploader.slots).toBe(1);
+                        done();
+                    }, 20);
+                });
+            });
+        });
+
+        it('stops a file while checking, its check answer is dropped', function(done) {
+            FakeXhr.install(uploaded);
+            createChecking();
+            uploader.startUpload();
+
+            waitFor(function() {
+                return first.status == Constants.AX_CHECK && release;
+            }, function() {
+                first.stopUpload();
+                expect(first.status).toBe(Constants.AX_READY);
+
+                waitFor(function() {
+                    return second.status == Constants.AX_DONE;
+                }, function() {
+                    release(true);
+                    setTimeout(function() {
+                        expect(sentNames()).toEqual(['b.txt']);
+                        expect(first.status).toBe(Constants.AX_READY);
+                        expect(uploader.slots).toBe(1);
+                        done();
+                    }, 20);
+                });
+            });
+        });
+
+        it('does not queue again a file while checking', function(done) {
+            FakeXhr.install(uploaded);
+            createChecking();
+            uploader.startUpload();
+
+            waitFor(function() {
+                return first.status == Constants.AX_CHECK && release;
+            }, function() {
+                expect(uploader.getPendingFiles().map(function(file) {
+                    return file.name;
+                })).toEqual(['b.txt']);
+                uploader.enqueueAll();
+                expect(uploader.uploadQueue.indexOf(first)).toBe(-1);
+
+                release(true);
+                waitFor(function() {
+                    return first.status == Constants.AX_DONE && second.status == Constants.AX_DONE;
+                }, function() {
+                    expect(sentNames().sort()).toEqual(['a.txt', 'b.txt']);
+                    expect(uploader.slots).toBe(1);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Resumable uploads: the confirmed state saved in IndexedDB and the resume of the same file after a page reload
+ */
+define(['RealUploader', 'helpers/FakeXhr', 'helpers/FakeIndexedDB'], function(RealUploader, FakeXhr, FakeIndexedDB) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    describe('The resumable upload', function() {
+        var server;
+
+        var create = function() {
+            var uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN',
+                chunkSize: 10, resumable: true, offline: {enable: false}});
+            uploader.addFiles([createFile('a.txt', 40)]);
+            return uploader.fileList.file_1;
+        };
+
+        var saved = function() {
+            return FakeIndexedDB.databases.realuploader.uploads.records;
+        };
+
+        var offsetRequests = function() {
+            return FakeXhr.requests.filter(function(xhr) {
+                return xhr.param('ax-get-offset');
+            });
+        };
+
+        beforeEach(function() {
+            FakeIndexedDB.install();
+            //the temp file of the server, a chunk answered with nothing is written but its answer never comes
+            server = {stored: 0, writes: [], pending: -1};
+            FakeXhr.install(function(xhr) {
+                if( xhr.param('ax-get-offset') ) {
+                    return {status: 200, body: {status: 1, info: 'Offset found', temp_name: 'tmp', offset: server.stored}};
+                }
+                var start = parseInt(xhr.param('ax-start-byte'));
+                server.writes.push(start);
+                server.stored = start + xhr.param('ax_file_input').size;
+                if( start == server.pending ) return null;
+                return {status: 200, body: {name: xhr.param('ax-file-name'), temp_name: 'tmp', status: 1,
+                    info: server.stored < 40 ? 'Chunk uploaded' : 'File uploaded'}};
+            });
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+            FakeIndexedDB.uninstall();
+        });
+
+        it('saves the confirmed state of every chunk and removes it at the end', function(done) {
+            var file = create();
+            //the state saved when the next chunk is sent
+            var states = [];
+            var handler = FakeXhr.handler;
+            FakeXhr.handler = function(xhr) {
+                var state = saved()[file.fingerprint];
+                states.push(state ? [state.tempFileName, state.currentByte, state.size] : null);
+                return handler(xhr);
+            };
+
+            file.upload().then(function() {
+                expect(states).toEqual([null, ['tmp', 10, 40], ['tmp', 20, 40], ['tmp', 30, 40]]);
+                setTimeout(function() {
+                    expect(saved()).toEqual({});
+                    done();
+                }, 10);
+            }).catch(done.fail);
+        });
+
+        it('resumes the same file after a reload from the offset of the server', function(done) {
+            server.pending = 20;
+            var before = create();
+            before.upload().then(done.fail, function() {});
+
+            //the page is reloaded while the third chunk is sent, the server has written it
+            var reload = function() {
+                if( server.writes.length < 3 ) {
+                    setTimeout(reload, 5);
+                    return;
+                }
+                expect(saved()[before.fingerprint].currentByte).toBe(20);
+                before.destroy();
+                server.pending = -1;
+
+                create().upload().then(function(response) {
+                    expect(response.name).toBe('a.txt');
+                    expect(offsetRequests().length).toBe(1);
+                    expect(server.writes).toEqual([0, 10, 20, 30]);
+                    done();
+                }).catch(done.fail);
+            };
+            reload();
+        });
+
+        it('starts again a file with a saved state of another size', function(done) {
+            var file = create();
+            //the database is open on the next tick
+            setTimeout(function() {
+                saved()[file.fingerprint] = {fingerprint: file.fingerprint, tempFileName: 'tmp', currentByte: 20, size: 30};
+
+                file.upload().then(function() {
+                    expect(offsetRequests().length).toBe(0);
+                    expect(server.writes).toEqual([0, 10, 20, 30]);
+                    done();
+                }).catch(done.fail);
+            }, 10);
+        });
+    });
+});
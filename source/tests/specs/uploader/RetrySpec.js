@@ -0,0 +1,208 @@
+/**
+ * Retry policy of the chunks: network errors, retry status codes, Retry-After, failures without a request
+ */
+define(['RealUploader', 'Constants', 'Transport', 'Utils', 'helpers/FakeXhr'], function(RealUploader, Constants, Transport, Utils, FakeXhr) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    var uploaded = function(xhr) {
+        return {status: 200, body: {name: xhr.param('ax-file-name'), temp_name: 'tmp', status: 1, info: 'File uploaded'}};
+    };
+
+    /**
+     * Transport that fails the first request of the given chunks without any xhr, as a failed sign request does
+     * @param {Array} failing start bytes of the chunks to fail once
+     * @returns {Function}
+     */
+    var createTransport = function(failing) {
+        var sent = [];
+        var NoXhrTransport = function(file) {
+            Transport.call(this, file);
+            this.parallel = true;
+        };
+        NoXhrTransport.sent = sent;
+        NoXhrTransport.prototype = Utils.extend(Object.create(Transport.prototype), {
+            sendChunk: function(chunk, info, cb) {
+                var me = this;
+                sent.push(info.start);
+                var timeout = setTimeout(function() {
+                    if( failing.indexOf(info.start) >= 0 ) {
+                        failing.splice(failing.indexOf(info.start), 1);
+                        cb.error('retry', 'Sign failed', null);
+                        return;
+                    }
+                    me.file.tempFileName = 'tmp';
+                    cb.done({});
+                }, 0);
+                return {abort: function() { clearTimeout(timeout); }};
+            },
+            finalize: function(cb) {
+                cb.done({name: this.file.name, status: 1, info: 'File uploaded'});
+            }
+        });
+        return NoXhrTransport;
+    };
+
+    /**
+     * Handler that keeps the temp file as upload.php: a chunk is written from its start byte, a chunk after the end of
+     * the temp file is refused with 409 and the stored size
+     * @param {Function} answer receives the start byte and the server after the write, returns a response to use
+     * instead of the success one
+     * @returns {Object} {stored, writes, handler}
+     */
+    var createServer = function(answer) {
+        var server = {stored: 0, writes: []};
+        server.handler = function(xhr) {
+            if( xhr.param('ax-get-offset') ) {
+                return {status: 200, body: {status: 1, info: 'Offset found', temp_name: 'tmp', offset: server.stored}};
+            }
+            var start = parseInt(xhr.param('ax-start-byte'));
+            if( start > server.stored ) {
+                return {status: 409, body: {status: -1, info: 'Chunk start byte does not match', offset: server.stored}};
+            }
+            server.stored = start + xhr.param('ax_file_input').size;
+            server.writes.push(start);
+            return answer(start, server) || {status: 200, body: {
+                name: xhr.param('ax-file-name'), temp_name: 'tmp', status: 1,
+                info: server.stored < 40 ? 'Chunk uploaded' : 'File uploaded'
+            }};
+        };
+        return server;
+    };
+
+    describe('The chunk retry', function() {
+        var uploader, retries;
+
+        var create = function(config) {
+            uploader = new RealUploader(null, Utils.extend({
+                headless: true, url: 'upload.php', language: 'en_EN', offline: {enable: false},
+                retry: {maxAttempts: 2, baseDelay: 1, jitter: false}
+            }, config || {}));
+            retries = [];
+            uploader.on('chunkRetry', function(file, attempt, delay, status, reason) {
+                retries.push({attempt: attempt, status: status, reason: reason});
+            });
+            uploader.addFiles([createFile('a.txt', 40)]);
+            return uploader.fileList.file_1;
+        };
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('sends again the chunk after a network error', function(done) {
+            var calls = 0;
+            FakeXhr.install(function(xhr) {
+                return ++calls == 1 ? {network: true} : uploaded(xhr);
+            });
+            var file = create();
+
+            file.upload().then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(retries).toEqual([{attempt: 1, status: 0, reason: 'Network error'}]);
+                expect(FakeXhr.requests.length).toBe(2);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('waits the Retry-After of a retry status code', function(done) {
+            var calls = 0;
+            FakeXhr.install(function(xhr) {
+                return ++calls == 1 ? {status: 503, headers: {'Retry-After': '0'}} : uploaded(xhr);
+            });
+            var file = create({retry: {baseDelay: 60000}});
+
+            file.upload().then(function() {
+                expect(retries.length).toBe(1);
+                expect(retries[0].status).toBe(503);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('fails the file when the attempts are over', function(done) {
+            FakeXhr.install(function() {
+                return {status: 500};
+            });
+            var file = create();
+
+            file.upload().then(done.fail, function() {
+                expect(file.status).toBe(Constants.AX_ERROR);
+                expect(retries.map(function(r) { return r.attempt; })).toEqual([1, 2]);
+                expect(FakeXhr.requests.length).toBe(3);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('writes again a chunk answered with 504 after the write', function(done) {
+            var failed = false;
+            var server = createServer(function(start) {
+                if( start == 10 && !failed ) {
+                    failed = true;
+                    return {status: 504};
+                }
+            });
+            FakeXhr.install(server.handler);
+            var file = create({chunkSize: 10});
+
+            file.upload().then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(retries.map(function(r) { return r.status; })).toEqual([504]);
+                expect(server.writes.slice(0, 3)).toEqual([0, 10, 10]);
+                expect(server.stored).toBe(40);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('continues from the server offset when a chunk does not follow the temp file', function(done) {
+            var lost = false;
+            var server = createServer(function(start, server) {
+                //the write of the second chunk is lost after the answer
+                if( start == 10 && !lost ) {
+                    lost = true;
+                    server.stored = 10;
+                }
+            });
+            FakeXhr.install(server.handler);
+            var file = create({chunkSize: 10});
+
+            file.upload().then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(retries).toEqual([]);
+                expect(FakeXhr.find('POST').filter(function(xhr) {
+                    return xhr.status == 409;
+                }).length).toBe(1);
+                expect(server.writes).toEqual([0, 10, 10, 20, 30]);
+                expect(server.stored).toBe(40);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('retries a failure without xhr', function(done) {
+            FakeXhr.install();
+            var NoXhrTransport = createTransport([0]);
+            var file = create({transport: NoXhrTransport});
+
+            file.upload().then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(retries).toEqual([{attempt: 1, status: 0, reason: 'Sign failed'}]);
+                expect(NoXhrTransport.sent).toEqual([0, 0]);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('retries a parallel chunk failed without xhr', function(done) {
+            FakeXhr.install();
+            var NoXhrTransport = createTransport([20]);
+            var file = create({transport: NoXhrTransport, parallelChunks: 2, chunkSize: 10});
+
+            file.upload().then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(retries).toEqual([{attempt: 1, status: 0, reason: 'Sign failed'}]);
+                expect(NoXhrTransport.sent.sort()).toEqual([0, 10, 20, 20, 30]);
+                done();
+            }).catch(done.fail);
+        });
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * Stop of an upload while the chunk is prepared: the hashes are still running and there is no request to abort.
+ * Remove of a file while its checks wait for the server
+ */
+define(['RealUploader', 'Constants', 'Utils', 'helpers/FakeXhr'], function(RealUploader, Constants, Utils, FakeXhr) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    var uploaded = function(xhr) {
+        return {status: 200, body: {name: xhr.param('ax-file-name'), temp_name: 'tmp', status: 1, info: 'File uploaded'}};
+    };
+
+    var waitFor = function(condition, callback) {
+        var check = function() {
+            condition() ? callback() : setTimeout(check, 5);
+        };
+        check();
+    };
+
+    /**
+     * Worker that keeps the hash requests, the spec answers them
+     */
+    var FakeWorker = function() {
+        FakeWorker.workers.push(this);
+        this.terminated = false;
+        this.pending = null;
+    };
+    FakeWorker.prototype = {
+        postMessage: function(data) {
+            if( data.finish || data.file ) {
+                this.pending = data;
+            }
+        },
+        answer: function(result) {
+            this.onmessage({data: {status: 'end', result: result}});
+        },
+        terminate: function() {
+            this.terminated = true;
+        }
+    };
+
+    describe('The stop of an upload', function() {
+        var uploader, file;
+
+        var pendingWorker = function() {
+            return FakeWorker.workers.filter(function(worker) {
+                return worker.pending && !worker.terminated;
+            })[0];
+        };
+
+        beforeEach(function() {
+            FakeWorker.workers = [];
+            spyOn(Utils, 'runInBackground').and.callFake(function() {
+                return new FakeWorker();
+            });
+            FakeXhr.install(uploaded);
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('reports the abort while the file md5 is completed for the last chunk', function(done) {
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN',
+                md5Calculate: true, md5Mode: 'incremental'});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            file = uploader.fileList.file_1;
+
+            var upload = file.upload();
+            waitFor(pendingWorker, function() {
+                var worker = pendingWorker();
+                file.stopUpload();
+
+                upload.then(done.fail, function(error) {
+                    expect(error.code).toBe('aborted');
+                    expect(file.status).toBe(Constants.AX_READY);
+                    expect(worker.terminated).toBe(true);
+                    expect(uploader.slots).toBe(uploader.config.maxConnections);
+                    expect(FakeXhr.requests.length).toBe(0);
+
+                    //a late answer of the worker does not send the chunk
+                    worker.answer('md5');
+                    setTimeout(function() {
+                        expect(FakeXhr.requests.length).toBe(0);
+                        done();
+                    }, 10);
+                });
+            });
+        });
+
+        it('reports the abort and stops the worker while the chunk hash is calculated', function(done) {
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN', chunkHash: 'sha1'});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            file = uploader.fileList.file_1;
+
+            var upload = file.upload();
+            waitFor(pendingWorker, function() {
+                var worker = pendingWorker();
+                file.stopUpload();
+
+                upload.then(done.fail, function(error) {
+                    expect(error.code).toBe('aborted');
+                    expect(file.status).toBe(Constants.AX_READY);
+                    expect(worker.terminated).toBe(true);
+                    expect(FakeXhr.requests.length).toBe(0);
+                    done();
+                });
+            });
+        });
+
+        it('stops the chunk hashes of the parallel chunks', function(done) {
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN', chunkHash: 'sha1',
+                chunkSize: 10, parallelChunks: 2});
+            uploader.addFiles([createFile('a.txt', 40)]);
+            file = uploader.fileList.file_1;
+
+            var upload = file.upload();
+            waitFor(pendingWorker, function() {
+                //the first chunk goes alone and creates the temp file
+                pendingWorker().answer({sha1: 'aa'});
+                waitFor(function() {
+                    return FakeWorker.workers.filter(function(worker) {
+                        return worker.pending && !worker.terminated;
+                    }).length == 2;
+                }, function() {
+                    var workers = FakeWorker.workers.slice(1);
+                    file.stopUpload();
+
+                    upload.then(done.fail, function(error) {
+                        expect(error.code).toBe('aborted');
+                        expect(workers.map(function(worker) { return worker.terminated; })).toEqual([true, true]);
+                        expect(FakeXhr.requests.length).toBe(1);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('The remove of a file while checking', function() {
+        var uploader, file;
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('aborts the exists request and drops its answer', function(done) {
+            FakeXhr.install();
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN',
+                checkFileExists: true, offline: {enable: false}});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            file = uploader.fileList.file_1;
+            file.upload().then(done.fail, function() {});
+
+            waitFor(function() {
+                return FakeXhr.requests.length == 1;
+            }, function() {
+                var check = FakeXhr.requests[0];
+                file.destroy();
+                expect(check.aborted).toBe(true);
+                check.respond(200, {}, {status: 1, exists: false});
+
+                setTimeout(function() {
+                    expect(FakeXhr.requests.length).toBe(1);
+                    expect(uploader.fileList).toEqual({});
+                    done();
+                }, 20);
+            });
+        });
+
+        it('does not ask the offset of a saved upload when the file is removed', function(done) {
+            FakeXhr.install(uploaded);
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN',
+                offline: {enable: false}});
+            var answer = null;
+            uploader.uploadStore = {
+                get: function(key, callback) {
+                    answer = function() {
+                        callback({tempFileName: 'tmp', size: 10});
+                    };
+                },
+                save: function() {},
+                remove: function() {}
+            };
+            uploader.addFiles([createFile('a.txt', 10)]);
+            file = uploader.fileList.file_1;
+            file.upload().then(done.fail, function() {});
+
+            waitFor(function() {
+                return answer;
+            }, function() {
+                file.destroy();
+                answer();
+
+                setTimeout(function() {
+                    expect(FakeXhr.requests.length).toBe(0);
+                    done();
+                }, 20);
+            });
+        });
+    });
+});
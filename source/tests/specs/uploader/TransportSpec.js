@@ -0,0 +1,328 @@
+/**
+ * Transports: answers of the default one, offset of a saved upload, part and block lists of the direct to storage
+ * ones after a resume and on the finalize request
+ */
+define(['RealUploader', 'Constants', 'helpers/FakeXhr'], function(RealUploader, Constants, FakeXhr) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    /**
+     * Send the chunks of the list with the transport of the file, the callback runs when all the sent ones are done
+     * @param {Object} transport
+     * @param {Array} ranges [start, end] of the chunks
+     * @param {Function} callback
+     */
+    var sendChunks = function(transport, ranges, callback) {
+        var pending = ranges.length;
+        ranges.forEach(function(range) {
+            var chunk = transport.file.file.slice(range[0], range[1]);
+            transport.sendChunk(chunk, {start: range[0], end: range[1], isLast: false, parallel: true}, {
+                done: function() {
+                    if( --pending === 0 ) callback();
+                },
+                error: function(code, msg) {
+                    //the running chunks of an abort
+                    if( code != 'aborted' ) fail(msg);
+                }
+            });
+        });
+    };
+
+    var finalize = function(transport, callback) {
+        transport.finalize({
+            done: function(result) {
+                callback(null, result);
+            },
+            error: function(code, msg) {
+                callback(msg);
+            }
+        });
+    };
+
+    describe('The S3 transport', function() {
+        var uploader, file, transport, hold;
+
+        beforeEach(function() {
+            hold = [];
+            FakeXhr.install(function(xhr) {
+                var part = /part=(\d+)/.exec(xhr.url);
+                if( xhr.method == 'PUT' ) {
+                    return hold.indexOf(xhr.body.size) >= 0 ? null : {status: 200, headers: {ETag: '"e' + part[1] + '-' + xhr.body.size + '"'}};
+                }
+                return {status: 200, body: '<CompleteMultipartUploadResult><Location>http://s3.test/a.bin</Location></CompleteMultipartUploadResult>'};
+            });
+            uploader = new RealUploader(null, {headless: true, language: 'en_EN', transport: 's3', s3: {
+                sign: function(request) {
+                    return 'http://s3.test/a.bin?' + request.action + (request.partNumber ? '&part=' + request.partNumber : '');
+                }
+            }});
+            uploader.addFiles([createFile('a.bin', 40)]);
+            file = uploader.fileList.file_1;
+            file.setTempName('upload-1');
+            transport = file.transport;
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        var completed = function() {
+            var body = FakeXhr.find('POST', 'complete')[0].body;
+            var list = [];
+            body.replace(/<PartNumber>(\d+)<\/PartNumber><ETag>"([^"]+)"<\/ETag>/g, function(all, number, etag) {
+                list.push(number + ':' + etag);
+            });
+            return list;
+        };
+
+        it('completes with the parts in byte order', function(done) {
+            sendChunks(transport, [[0, 10], [10, 20], [20, 30], [30, 40]], function() {
+                finalize(transport, function(error, result) {
+                    expect(error).toBeNull();
+                    expect(result.url).toBe('http://s3.test/a.bin');
+                    expect(completed()).toEqual(['1:e1-10', '2:e2-10', '3:e3-10', '4:e4-10']);
+                    done();
+                });
+            });
+        });
+
+        it('drops the parts after the confirmed byte on abort, they are sent again with other sizes', function(done) {
+            hold = [5];
+            //the chunk at 20 is running, the one at 25 is stored but not contiguous
+            sendChunks(transport, [[0, 10], [10, 20], [20, 25], [25, 40]], function() {});
+            setTimeout(function() {
+                file.currentByte = 20;
+                transport.abort();
+                hold = [];
+                sendChunks(transport, [[20, 32], [32, 40]], function() {
+                    finalize(transport, function(error) {
+                        expect(error).toBeNull();
+                        expect(completed()).toEqual(['1:e1-10', '2:e2-10', '3:e3-12', '4:e4-8']);
+                        done();
+                    });
+                });
+            }, 5);
+        });
+
+        it('leaves out the parts not contiguous with the others', function(done) {
+            sendChunks(transport, [[0, 20], [20, 30], [30, 40]], function() {
+                //the chunk at 20 sent again with a bigger size, part 3 is not part of the file anymore
+                sendChunks(transport, [[20, 35], [35, 40]], function() {
+                    finalize(transport, function(error) {
+                        expect(error).toBeNull();
+                        expect(completed()).toEqual(['1:e1-20', '2:e2-15', '4:e4-5']);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('fails the finalize when the parts do not cover the file', function(done) {
+            sendChunks(transport, [[0, 10], [20, 40]], function() {
+                finalize(transport, function(error) {
+                    expect(error).toBe('S3: missing parts of the file');
+                    expect(FakeXhr.find('POST', 'complete').length).toBe(0);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('The default transport', function() {
+        var uploader, file, answer;
+
+        beforeEach(function() {
+            FakeXhr.install(function() {
+                return answer;
+            });
+            uploader = new RealUploader(null, {headless: true, url: 'upload.php', language: 'en_EN',
+                offline: {enable: false}, retry: {maxAttempts: 0}});
+            uploader.addFiles([createFile('a.txt', 10)]);
+            file = uploader.fileList.file_1;
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('fails the file on a 403 answer with a JSON body', function(done) {
+            answer = {status: 403, body: {message: 'Forbidden'}};
+            file.upload().then(done.fail, function(error) {
+                expect(error.code).toBe('error');
+                expect(file.status).toBe(Constants.AX_ERROR);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('fails the file on a 2xx answer with the error status', function(done) {
+            answer = {status: 200, body: {status: -1, info: 'Cannot write on file.'}};
+            file.upload().then(done.fail, function(error) {
+                expect(error.message).toBe('Cannot write on file.');
+                expect(file.status).not.toBe(Constants.AX_DONE);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('completes the file on an answer out of 2xx that reports the success', function(done) {
+            answer = {status: 403, body: {status: 1, name: 'a.txt', temp_name: 'tmp', info: 'File uploaded'}};
+            file.upload().then(function(response) {
+                expect(response.name).toBe('a.txt');
+                expect(file.status).toBe(Constants.AX_DONE);
+                done();
+            }).catch(done.fail);
+        });
+    });
+
+    describe('The offset of a saved upload', function() {
+        var answer;
+
+        //transports with the answer of the server when the saved upload does not exist anymore
+        var transports = {
+            ax:     {config: {url: 'upload.php'}, gone: {status: 200, body: {status: -1, info: 'Temp file not found'}}},
+            tus:    {config: {tus: {endpoint: 'http://localhost/files/'}}, gone: {status: 404}},
+            s3:     {config: {s3: {sign: function(request) {
+                return 'http://s3.test/a.bin?' + request.action;
+            }}}, gone: {status: 404}},
+            azure:  {config: {azure: {sign: function() {
+                return 'http://az.test/container/a.bin?sig=1';
+            }}}, gone: {status: 404}}
+        };
+
+        var getOffset = function(name, callback) {
+            var uploader = new RealUploader(null, Object.assign({headless: true, language: 'en_EN', transport: name,
+                offline: {enable: false}}, transports[name].config));
+            uploader.addFiles([createFile('a.bin', 40)]);
+            var file = uploader.fileList.file_1;
+            file.setTempName('http://localhost/files/abc');
+            file.transport.getOffset({
+                done: function(offset) {
+                    callback(null, offset);
+                },
+                error: function(code) {
+                    callback(code);
+                }
+            });
+        };
+
+        beforeEach(function() {
+            FakeXhr.install(function() {
+                return answer;
+            });
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        Object.keys(transports).forEach(function(name) {
+            it('is 0 on ' + name + ' when the upload does not exist anymore', function(done) {
+                answer = transports[name].gone;
+                getOffset(name, function(error, offset) {
+                    expect(error).toBeNull();
+                    expect(offset).toBe(0);
+                    done();
+                });
+            });
+
+            it('fails on ' + name + ' when the server cannot answer', function(done) {
+                answer = {status: 503};
+                getOffset(name, function(error) {
+                    expect(error).toBe('retry');
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('The Azure transport', function() {
+        var uploader, file, transport, signs, expired;
+
+        beforeEach(function() {
+            signs = 0;
+            expired = [];
+            FakeXhr.install(function(xhr) {
+                var sig = /sig=(\d+)/.exec(xhr.url)[1];
+                return expired.indexOf(sig) >= 0 ? {status: 403} : {status: 201};
+            });
+            uploader = new RealUploader(null, {headless: true, language: 'en_EN', transport: 'azure', azure: {
+                sign: function() {
+                    return 'http://az.test/container/a.bin?sig=' + (++signs);
+                }
+            }});
+            uploader.addFiles([createFile('a.bin', 40)]);
+            file = uploader.fileList.file_1;
+            transport = file.transport;
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        var committed = function() {
+            var puts = FakeXhr.find('PUT', 'comp=blocklist');
+            return puts[puts.length - 1].body.match(/<Latest>[^<]+<\/Latest>/g).map(function(item) {
+                return window.atob(item.replace(/<\/?Latest>/g, ''));
+            });
+        };
+
+        it('asks a new SAS on 403 and sends the request again', function(done) {
+            transport.start({
+                error: fail,
+                done: function() {
+                    sendChunks(transport, [[0, 20]], function() {
+                        expired = ['1'];
+                        sendChunks(transport, [[20, 40]], function() {
+                            finalize(transport, function(error) {
+                                expect(error).toBeNull();
+                                expect(signs).toBe(2);
+                                expect(FakeXhr.find('PUT', 'sig=1').length).toBe(2);
+                                expect(FakeXhr.find('PUT', 'sig=2&comp=blocklist').length).toBe(1);
+                                expect(committed()).toEqual(['block-000001', 'block-000002']);
+                                done();
+                            });
+                        });
+                    });
+                }
+            });
+        });
+
+        it('fails when the new SAS is refused too', function(done) {
+            transport.start({
+                error: fail,
+                done: function() {
+                    expired = ['1', '2'];
+                    var chunk = file.file.slice(0, 20);
+                    transport.sendChunk(chunk, {start: 0, end: 20, isLast: false, parallel: true}, {
+                        done: fail,
+                        error: function(code) {
+                            expect(code).toBe('error');
+                            expect(signs).toBe(2);
+                            done();
+                        }
+                    });
+                }
+            });
+        });
+
+        it('commits only the contiguous blocks after a resume', function(done) {
+            transport.start({
+                error: fail,
+                done: function() {
+                    sendChunks(transport, [[0, 10], [10, 20], [20, 30], [30, 40]], function() {
+                        file.currentByte = 20;
+                        transport.abort();
+                        sendChunks(transport, [[20, 40]], function() {
+                            finalize(transport, function(error) {
+                                expect(error).toBeNull();
+                                expect(committed()).toEqual(['block-000001', 'block-000002', 'block-000003']);
+                                done();
+                            });
+                        });
+                    });
+                }
+            });
+        });
+    });
+});
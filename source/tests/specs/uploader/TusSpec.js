@@ -0,0 +1,169 @@
+/**
+ * tus transport: creation, PATCH of the chunks and the offset check after a failed or aborted PATCH
+ */
+define(['RealUploader', 'helpers/FakeXhr'], function(RealUploader, FakeXhr) {
+
+    var createFile = function(name, size) {
+        return new File([new Uint8Array(size)], name, {lastModified: 1});
+    };
+
+    describe('The tus transport', function() {
+        var uploader, file, serverOffset, failNext;
+
+        var patches = function() {
+            return FakeXhr.find('PATCH').map(function(xhr) {
+                return [xhr.requestHeaders['Upload-Offset'], xhr.body.size];
+            });
+        };
+
+        beforeEach(function() {
+            serverOffset = 0;
+            failNext = null;
+            FakeXhr.install(function(xhr) {
+                if( xhr.method == 'POST' ) {
+                    return {status: 201, headers: {Location: '/files/abc'}};
+                }
+                if( xhr.method == 'HEAD' ) {
+                    return {status: 200, headers: {'Upload-Offset': serverOffset}};
+                }
+                //the server keeps the bytes received before the failure
+                if( failNext ) {
+                    var fail = failNext;
+                    failNext = null;
+                    serverOffset = fail.stored;
+                    return fail.response;
+                }
+                serverOffset = xhr.requestHeaders['Upload-Offset'] + xhr.body.size;
+                return {status: 204, headers: {'Upload-Offset': serverOffset}};
+            });
+
+            uploader = new RealUploader(null, {headless: true, language: 'en_EN', transport: 'tus', chunkSize: 20,
+                tus: {endpoint: 'http://localhost/files/'}, offline: {enable: false},
+                retry: {maxAttempts: 2, baseDelay: 1, jitter: false}});
+            uploader.addFiles([createFile('a.bin', 50)]);
+            file = uploader.fileList.file_1;
+        });
+
+        afterEach(function() {
+            FakeXhr.uninstall();
+        });
+
+        it('creates the upload and sends the chunks at their offset', function(done) {
+            file.upload().then(function(response) {
+                expect(response.url).toBe('http://localhost/files/abc');
+                expect(patches()).toEqual([[0, 20], [20, 20], [40, 10]]);
+                expect(FakeXhr.find('HEAD').length).toBe(0);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('asks the offset after a failed PATCH and sends only the missing bytes', function(done) {
+            uploader.on('chunkUpload', function() {
+                if( serverOffset == 20 ) {
+                    failNext = {stored: 32, response: {network: true}};
+                }
+            });
+
+            file.upload().then(function() {
+                expect(patches()).toEqual([[0, 20], [20, 20], [32, 8], [40, 10]]);
+                expect(FakeXhr.find('HEAD').length).toBe(1);
+                done();
+            }).catch(done.fail);
+        });
+
+        it('goes to the next chunk when the failed PATCH was stored', function(done) {
+            uploader.on('chunkUpload', function() {
+                if( serverOffset == 20 ) {
+                    failNext = {stored: 40, response: {status: 503}};
+                }
+            });
+
+            file.upload().then(function() {
+                expect(patches()).toEqual([[0, 20], [20, 20], [40, 10]]);
+                expect(FakeXhr.find('HEAD').length).toBe(1);
+                done();
+            }).catch(done.fail);
+        });
+
+        describe('with a saved upload', function() {
+            var saved;
+
+            beforeEach(function() {
+                saved = {};
+                saved[file.fingerprint] = {tempFileName: 'http://localhost/files/abc', currentByte: 20, size: 50};
+                uploader.uploadStore = {
+                    get: function(fingerprint, callback) {
+                        setTimeout(function() {
+                            callback(saved[fingerprint] || null);
+                        }, 0);
+                    },
+                    save: function(fingerprint, state) {
+                        saved[fingerprint] = state;
+                    },
+                    remove: function(fingerprint) {
+                        delete saved[fingerprint];
+                    }
+                };
+            });
+
+            it('resumes from the offset of the server', function(done) {
+                serverOffset = 20;
+                file.upload().then(function() {
+                    expect(FakeXhr.find('POST').length).toBe(0);
+                    expect(patches()).toEqual([[20, 20], [40, 10]]);
+                    expect(saved[file.fingerprint]).toBeUndefined();
+                    done();
+                }).catch(done.fail);
+            });
+
+            it('keeps the saved upload when the server cannot tell the offset', function(done) {
+                var handler = FakeXhr.handler;
+                FakeXhr.handler = function(xhr) {
+                    return xhr.method == 'HEAD' ? {status: 503} : handler(xhr);
+                };
+
+                file.upload().then(done.fail, function(error) {
+                    expect(error.code).toBe('error');
+                    expect(FakeXhr.find('POST').length).toBe(0);
+                    expect(FakeXhr.find('PATCH').length).toBe(0);
+                    expect(saved[file.fingerprint].tempFileName).toBe('http://localhost/files/abc');
+                    done();
+                }).catch(done.fail);
+            });
+
+            it('starts a new upload when the saved one does not exist anymore', function(done) {
+                var handler = FakeXhr.handler;
+                FakeXhr.handler = function(xhr) {
+                    return xhr.method == 'HEAD' ? {status: 404} : handler(xhr);
+                };
+
+                file.upload().then(function() {
+                    expect(FakeXhr.find('POST').length).toBe(1);
+                    expect(patches()).toEqual([[0, 20], [20, 20], [40, 10]]);
+                    done();
+                }).catch(done.fail);
+            });
+        });
+
+        it('asks the offset on resume after a pause', function(done) {
+            var paused = false;
+            uploader.on('chunkUpload', function() {
+                if( paused ) return;
+                paused = true;
+                //the second PATCH stays pending, the server has received 5 bytes of it when it is paused
+                failNext = {stored: 25, response: null};
+                setTimeout(function() {
+                    file.pause();
+                    file.resume();
+                }, 5);
+            });
+
+            file.upload().then(function() {
+                //the upload goes on from the server offset, not from the chunk sent before the pause
+                expect(patches()).toEqual([[0, 20], [20, 20], [25, 20], [45, 5]]);
+                expect(FakeXhr.find('HEAD').length).toBe(1);
+                done();
+            }).catch(done.fail);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Construction and configuration of the uploader
+ */
+define(['RealUploader', 'Constants'], function(RealUploader, Constants) {
+
+    describe('The uploader construction', function() {
+        var container;
+
+        beforeEach(function() {
+            container = document.createElement('div');
+            document.body.appendChild(container);
+        });
+
+        afterEach(function() {
+            document.body.removeChild(container);
+        });
+
+        it('renders on a container with the default settings', function() {
+            var uploader = new RealUploader(container, {url: 'upload.php'});
+            expect(uploader.config.url).toBe('upload.php');
+            expect(uploader.config.allowedTypes).toEqual([]);
+            expect(uploader.globalStatus).toBe(Constants.AX_IDLE);
+            expect(container.querySelector('input[type=file]')).not.toBeNull();
+        });
+
+        it('works headless without a container', function() {
+            var uploader = new RealUploader(null, {headless: true});
+            expect(uploader.config.headless).toBe(true);
+            expect(uploader.getState().files).toEqual([]);
+        });
+
+        it('builds the accept attribute from accept, allowedExtensions and allowedTypes', function() {
+            var uploader = new RealUploader(container, {
+                accept:             'audio/*',
+                allowedExtensions:  ['JPG', 'pdf'],
+                allowedTypes:       ['Image/*']
+            });
+            expect(uploader.config.allowedExtensions).toEqual(['jpg', 'pdf']);
+            expect(uploader.config.allowedTypes).toEqual(['image/*']);
+            expect(uploader.dom.browseInput.getAttribute('accept')).toBe('audio/*,.jpg,.pdf,image/*');
+        });
+
+        it('parses the sizes given as strings', function() {
+            var uploader = new RealUploader(null, {headless: true, maxFileSize: '2M', minFileSize: '1K'});
+            expect(uploader.config.maxFileSize).toBe(2 * 1024 * 1024);
+            expect(uploader.config.minFileSize).toBe(1024);
+        });
+
+        it('registers the listeners of the config', function() {
+            var init = jasmine.createSpy('init');
+            new RealUploader(null, {headless: true, listeners: {init: init}});
+            expect(init).toHaveBeenCalled();
+        });
+    });
+});
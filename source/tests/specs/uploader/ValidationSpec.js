@@ -0,0 +1,135 @@
+/**
+ * File checks on add and the validation pipeline of the file object
+ */
+define(['RealUploader', 'Constants'], function(RealUploader, Constants) {
+
+    var createFile = function(name, size, type) {
+        return new File([new Uint8Array(size)], name, {type: type || '', lastModified: 1});
+    };
+
+    //run the callback when the condition is true, checking at every tick
+    var waitFor = function(condition, callback) {
+        if( condition() ) {
+            callback();
+        } else {
+            setTimeout(function() {
+                waitFor(condition, callback);
+            }, 1);
+        }
+    };
+
+    describe('The file validation', function() {
+        var errors;
+
+        var create = function(config) {
+            var uploader = new RealUploader(null, Object.assign({headless: true, language: 'en_EN'}, config));
+            uploader.on('errorFile', function(list, name) {
+                errors.push({name: name, list: list});
+            });
+            return uploader;
+        };
+
+        beforeEach(function() {
+            errors = [];
+        });
+
+        it('adds the valid files', function() {
+            var uploader = create({allowedExtensions: ['txt']});
+            uploader.addFiles([createFile('a.txt', 10, 'text/plain')]);
+            expect(uploader.getState().files.length).toBe(1);
+            expect(errors).toEqual([]);
+        });
+
+        it('rejects extension, type and sizes before creating the file object', function() {
+            var uploader = create({
+                allowedExtensions:  ['jpg', 'txt'],
+                allowedTypes:       ['image/*'],
+                minFileSize:        5,
+                maxFileSize:        100
+            });
+            var select = jasmine.createSpy('select');
+            uploader.on('select', select);
+            uploader.addFiles([
+                createFile('a.pdf', 10, 'image/jpeg'),
+                createFile('b.txt', 10, 'text/plain'),
+                createFile('c.jpg', 1, 'image/jpeg'),
+                createFile('d.jpg', 200, 'image/jpeg')
+            ]);
+
+            expect(uploader.fileIndex).toBe(0);
+            expect(select).toHaveBeenCalledWith([]);
+            expect(errors.map(function(e) { return e.list[0].error; }))
+                .toEqual(['ALLOW_EXTENSION', 'MIME_TYPE', 'MIN_FILE_SIZE', 'FILE_SIZE']);
+        });
+
+        it('keeps the validateFile option, a falsy value is valid', function() {
+            var uploader = create({
+                validateFile: function(name) {
+                    return name == 'bad.txt' ? 'Bad name' : false;
+                }
+            });
+            uploader.addFiles([createFile('bad.txt', 10), createFile('good.txt', 10)]);
+            expect(uploader.getState().files.map(function(f) { return f.name; })).toEqual(['good.txt']);
+            expect(errors[0].list[0]).toEqual({error: 'USER_ERROR', message: 'Bad name', param: ''});
+        });
+
+        it('runs the sync validators before the select event', function() {
+            var uploader = create({
+                validators: [function(file) {
+                    return file.size > 10 ? {error: 'TOO_BIG', message: 'Too big'} : null;
+                }]
+            });
+            var select = jasmine.createSpy('select');
+            uploader.on('select', select);
+            uploader.addFiles([createFile('a.txt', 20), createFile('b.txt', 5)]);
+
+            expect(select.calls.mostRecent().args[0].map(function(f) { return f.name; })).toEqual(['b.txt']);
+            expect(errors[0]).toEqual({name: 'a.txt', list: [{error: 'TOO_BIG', message: 'Too big', param: ''}]});
+        });
+
+        it('keeps the file validating until the async validators end', function(done) {
+            var resolve;
+            var pending = new Promise(function(r) { resolve = r; });
+            var started = false;
+            var uploader = create({
+                validators: [function() {
+                    started = true;
+                    return pending;
+                }]
+            });
+            uploader.addFiles([createFile('a.txt', 5)]);
+
+            var file = uploader.fileList.file_1;
+            expect(file.status).toBe(Constants.AX_VALIDATING);
+            expect(file.disabled).toBe(true);
+            expect(uploader.getPendingFiles()).toEqual([file]);
+
+            waitFor(function() { return started; }, function() {
+                expect(file.status).toBe(Constants.AX_VALIDATING);
+                resolve();
+                waitFor(function() { return file.status != Constants.AX_VALIDATING; }, function() {
+                    expect(uploader.fileList.file_1).toBe(file);
+                    expect(errors).toEqual([]);
+                    done();
+                });
+            });
+        });
+
+        it('removes the file rejected by an async validator', function(done) {
+            var uploader = create({
+                validators: [function() {
+                    return Promise.reject(new Error('Server says no'));
+                }]
+            });
+            uploader.addFiles([createFile('a.txt', 5)]);
+            expect(uploader.fileList.file_1).toBeDefined();
+
+            waitFor(function() { return errors.length > 0; }, function() {
+                expect(uploader.fileList.file_1).toBeUndefined();
+                expect(errors[0].list[0].error).toBe('VALIDATION_ERROR');
+                expect(errors[0].list[0].message).toBe('Server says no');
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Fake IndexedDB for the uploader specs, with the part of the API used by the upload store: open with upgrade, one
+ * object store by keyPath, get, put and delete. The requests succeed on the next tick. The databases are kept in
+ * FakeIndexedDB.databases, name => {store name => {keyPath, records}}, so they survive a new store like a page reload
+ */
+define(function() {
+
+    var FakeIndexedDB = {
+        databases:  {},
+        original:   null
+    };
+
+    var later = function(request, result) {
+        setTimeout(function() {
+            request.result = result;
+            request.onsuccess && request.onsuccess.call(request);
+        }, 0);
+        return request;
+    };
+
+    var copy = function(record) {
+        return record ? JSON.parse(JSON.stringify(record)) : record;
+    };
+
+    var ObjectStore = function(store) {
+        this.records = store.records;
+        this.keyPath = store.keyPath;
+    };
+    ObjectStore.prototype = {
+        get: function(key) {
+            return later({}, copy(this.records[key]));
+        },
+        put: function(record) {
+            this.records[record[this.keyPath]] = copy(record);
+            return later({}, record[this.keyPath]);
+        },
+        'delete': function(key) {
+            delete this.records[key];
+            return later({}, undefined);
+        }
+    };
+
+    var Database = function(stores) {
+        this.stores = stores;
+        this.objectStoreNames = {
+            contains: function(name) {
+                return stores.hasOwnProperty(name);
+            }
+        };
+    };
+    Database.prototype = {
+        createObjectStore: function(name, options) {
+            this.stores[name] = {keyPath: options.keyPath, records: {}};
+        },
+        transaction: function(name) {
+            var store = this.stores[name];
+            return {
+                objectStore: function() {
+                    return new ObjectStore(store);
+                }
+            };
+        }
+    };
+
+    /**
+     * Replace the browser IndexedDB, the databases start empty
+     */
+    FakeIndexedDB.install = function() {
+        FakeIndexedDB.databases = {};
+        FakeIndexedDB.original = window.indexedDB;
+        window.indexedDB = {
+            open: function(name) {
+                var request = {};
+                var isNew = !FakeIndexedDB.databases.hasOwnProperty(name);
+                var stores = isNew ? (FakeIndexedDB.databases[name] = {}) : FakeIndexedDB.databases[name];
+                var db = new Database(stores);
+                setTimeout(function() {
+                    request.result = db;
+                    if( isNew && request.onupgradeneeded ) {
+                        request.onupgradeneeded.call(request);
+                    }
+                    request.onsuccess && request.onsuccess.call(request);
+                }, 0);
+                return request;
+            }
+        };
+    };
+
+    FakeIndexedDB.uninstall = function() {
+        window.indexedDB = FakeIndexedDB.original;
+    };
+
+    return FakeIndexedDB;
+});
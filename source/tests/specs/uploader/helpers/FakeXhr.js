@@ -0,0 +1,124 @@
+/**
+ * Fake XMLHttpRequest for the uploader specs. The requests are kept in FakeXhr.requests, the handler answers them
+ * on the next tick: it receives the request and returns {status, headers, body}, or nothing to leave it pending
+ */
+define(function() {
+
+    var FakeXhr = function() {
+        this.readyState     = 0;
+        this.status         = 0;
+        this.responseText   = '';
+        this.requestHeaders = {};
+        this.responseHeaders = {};
+        this.listeners      = {};
+        this.aborted        = false;
+        this.upload         = {addEventListener: function() {}};
+    };
+
+    FakeXhr.requests    = [];
+    FakeXhr.handler     = null;
+    FakeXhr.original    = null;
+
+    /**
+     * Replace the browser XMLHttpRequest
+     * @param {Function} [handler] answers the requests
+     */
+    FakeXhr.install = function(handler) {
+        FakeXhr.requests = [];
+        FakeXhr.handler = handler || null;
+        FakeXhr.original = window.XMLHttpRequest;
+        window.XMLHttpRequest = FakeXhr;
+    };
+
+    FakeXhr.uninstall = function() {
+        window.XMLHttpRequest = FakeXhr.original;
+        FakeXhr.handler = null;
+    };
+
+    /**
+     * Requests with the method and the url containing the given text
+     * @param {String} method
+     * @param {String} [url]
+     * @returns {Array}
+     */
+    FakeXhr.find = function(method, url) {
+        return FakeXhr.requests.filter(function(xhr) {
+            return xhr.method == method && (!url || xhr.url.indexOf(url) >= 0);
+        });
+    };
+
+    FakeXhr.prototype = {
+        open: function(method, url) {
+            this.method = method;
+            this.url = url;
+            this.readyState = 1;
+        },
+        setRequestHeader: function(name, value) {
+            this.requestHeaders[name] = value;
+        },
+        addEventListener: function(type, callback) {
+            (this.listeners[type] = this.listeners[type] || []).push(callback);
+        },
+        getResponseHeader: function(name) {
+            for( var key in this.responseHeaders ) {
+                if( key.toLowerCase() == name.toLowerCase() ) {
+                    return String(this.responseHeaders[key]);
+                }
+            }
+            return null;
+        },
+        send: function(body) {
+            var me = this;
+            me.body = body;
+            FakeXhr.requests.push(me);
+            var response = FakeXhr.handler ? FakeXhr.handler(me) : null;
+            if( response ) {
+                setTimeout(function() {
+                    if( response.network ) {
+                        me.fail();
+                    } else {
+                        me.respond(response.status, response.headers, response.body);
+                    }
+                }, 0);
+            }
+        },
+        /**
+         * Value of a parameter of the FormData body
+         * @param {String} name
+         * @returns {*}
+         */
+        param: function(name) {
+            return this.body && typeof this.body.get == 'function' ? this.body.get(name) : null;
+        },
+        respond: function(status, headers, body) {
+            if( this.aborted || this.readyState == 4 ) return;
+            this.status = status;
+            this.responseHeaders = headers || {};
+            this.responseText = typeof body == 'string' ? body : JSON.stringify(body || {});
+            this.readyState = 4;
+            this.onreadystatechange && this.onreadystatechange();
+        },
+        /**
+         * Network error, the request ends without a status
+         */
+        fail: function() {
+            if( this.aborted || this.readyState == 4 ) return;
+            this.readyState = 4;
+            this._fire('error');
+        },
+        abort: function() {
+            if( this.aborted || this.readyState == 4 ) return;
+            this.aborted = true;
+            this.readyState = 4;
+            this._fire('abort');
+        },
+        _fire: function(type) {
+            var list = this.listeners[type] || [];
+            for( var i = 0; i < list.length; i++ ) {
+                list[i].call(this, {type: type});
+            }
+        }
+    };
+
+    return FakeXhr;
+});
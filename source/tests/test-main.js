@@ -0,0 +1,15 @@
+/**
+ * Load the uploader specs with require.js and start karma when they are defined
+ */
+var specs = Object.keys(window.__karma__.files).filter(function(file) {
+    return /\/specs\/uploader\/.*Spec\.js$/.test(file);
+});
+
+requirejs.config({
+    baseUrl: '/base/js',
+    paths: {
+        helpers: '../tests/specs/uploader/helpers'
+    },
+    deps: specs,
+    callback: window.__karma__.start
+});
@@ -26,7 +26,14 @@ class RealUploader {
     private $allowCrossOrigin   = false;
     private $clientMd5          = '';
     private $checkMd5           = false;
+    private $clientHashes       = array();
+    private $checkHashes        = false;
+    private $chunkHashMsg       = null;
+    //client hash algorithm names to php hash algorithms
+    private $hashAlgorithms     = array('md5' => 'md5', 'sha1' => 'sha1', 'sha256' => 'sha256', 'crc32' => 'crc32b',
+                                        'crc32c' => 'crc32c');
     private $checkSumMsg        = array('success' => true, 'message' => 'disabled');
+    private $offset             = 0;
 
     public $uploadErrors        = [
         UPLOAD_ERR_OK           => "No errors.",
@@ -88,6 +95,14 @@ class RealUploader {
             $this->clientMd5 = $_REQUEST['ax-file-md5'];
         }
 
+        //other hashes calculated on client side, as ax-file-hash[algorithm], verified if ax-hash-check is set
+        if (isset($_REQUEST['ax-hash-check'])) {
+            $this->checkHashes = true;
+        }
+        if (isset($_REQUEST['ax-file-hash']) && is_array($_REQUEST['ax-file-hash'])) {
+            $this->clientHashes = $_REQUEST['ax-file-hash'];
+        }
+
         //get the temporary file system directory from ini configuration
         $iniTmpDir = ini_get('upload_tmp_dir');
 
@@ -304,6 +319,70 @@ class RealUploader {
         }
     }
 
+    /**
+     * Calculates the hashes sent by the client (sha1, sha256, crc32, crc32c) and compares them. The result of every
+     * algorithm is added to the check sum message
+     * @param $filePath final uploaded file
+     */
+    private function verifyHashes($filePath) {
+        $algorithms = $this->hashAlgorithms;
+        if (!$this->checkHashes || empty($this->clientHashes)) {
+            return;
+        }
+
+        $results = array();
+        $success = true;
+        foreach ($this->clientHashes as $name => $clientHash) {
+            if (!isset($algorithms[$name]) || !in_array($algorithms[$name], hash_algos())) {
+                continue;
+            }
+            $serverHash = hash_file($algorithms[$name], $filePath);
+            $results[$name] = array(
+                'success'       => $serverHash === strtolower($clientHash),
+                'serverHash'    => $serverHash,
+                'clientHash'    => $clientHash
+            );
+            $success = $success && $results[$name]['success'];
+        }
+
+        if ($this->checkSumMsg['message'] === 'disabled') {
+            $this->checkSumMsg['message'] = 'Hash check correctly.';
+        }
+        if (!$success) {
+            $this->checkSumMsg['success'] = false;
+            $this->checkSumMsg['message'] = 'Hash check failed. Client hash is different from server hash.
+                                    File maybe have been corrupted during upload.';
+        }
+        $this->checkSumMsg['hashes'] = $results;
+    }
+
+    /**
+     * Calculates the hash of the received chunk and compares it with the ax-chunk-hash sent by the client. On mismatch
+     * the chunk is dropped and the client sends it again, the result is returned as chunkHash
+     */
+    private function verifyChunkHash()
+    {
+        if (!isset($_REQUEST['ax-chunk-hash'], $_REQUEST['ax-chunk-hash-algorithm'])) {
+            return;
+        }
+        $name = $_REQUEST['ax-chunk-hash-algorithm'];
+        if (!isset($this->hashAlgorithms[$name]) || !in_array($this->hashAlgorithms[$name], hash_algos())) {
+            return;
+        }
+
+        $serverHash = hash_file($this->hashAlgorithms[$name], $_FILES['ax_file_input']['tmp_name']);
+        $this->chunkHashMsg = array(
+            'success'       => $serverHash === strtolower($_REQUEST['ax-chunk-hash']),
+            'algorithm'     => $name,
+            'serverHash'    => $serverHash,
+            'clientHash'    => $_REQUEST['ax-chunk-hash']
+        );
+        if (!$this->chunkHashMsg['success']) {
+            unlink($_FILES['ax_file_input']['tmp_name']);
+            $this->message(-1, 'Chunk hash mismatch, chunk corrupted during upload.');
+        }
+    }
+
     /**
      * Simple check if the current file exists in the server
      * @return bool true if file exists, false otherwise
@@ -314,6 +393,136 @@ class RealUploader {
         $this->message(1, $msg);
     }
 
+    /**
+     * Instant upload: looks in the hash index of the upload path for a file with the same size and md5 of the client
+     * file. If found the stored content is copied on the client file name, so the client does not send the file and
+     * never sees the names of the files of the other clients. A stored file changed since it was indexed leaves the
+     * index
+     */
+    public function findByHash()
+    {
+        $this->checkFile();
+
+        $md5 = strtolower($this->clientMd5);
+        if (preg_match('/^[0-9a-f]{32}$/', $md5)) {
+            $index  = $this->readHashIndex();
+            $key    = $md5.'-'.(int)$this->fileSize;
+            if (isset($index[$key])) {
+                $stored = $this->uploadPath.'/'.basename($index[$key]);
+                clearstatcache();
+                //the stored file can be written again out of this script, the content must still be the indexed one
+                if (!is_file($stored) || filesize($stored) != $this->fileSize || md5_file($stored) !== $md5) {
+                    $this->unindexFile(basename($stored));
+                } else {
+                    $this->checkFileExists();
+                    $filePath = $this->uploadPath.'/'.$this->fileName;
+                    //with the override the client name can be the stored file itself
+                    if ($stored === $filePath || @copy($stored, $filePath)) {
+                        $this->indexFile($filePath, $md5);
+                        $extra_info = $this->finish();
+                        $this->message(1, 'yes', $extra_info);
+                    }
+                }
+            }
+        }
+        $this->message(1, 'no');
+    }
+
+    /**
+     * Path of the hash index of the upload path, md5 and size of the uploaded files => file name.
+     * It is kept in the temp path, the upload path can be public
+     * @return string
+     */
+    private function hashIndexPath()
+    {
+        return $this->tempPath.'/axhashes_'.md5(realpath($this->uploadPath)).'.json';
+    }
+
+    /**
+     * Read the hash index of the upload path
+     * @return array
+     */
+    private function readHashIndex()
+    {
+        $handle = @fopen($this->hashIndexPath(), 'r');
+        if (!$handle) {
+            return [];
+        }
+        flock($handle, LOCK_SH);
+        $index = json_decode(stream_get_contents($handle), true);
+        flock($handle, LOCK_UN);
+        fclose($handle);
+        return is_array($index) ? $index : [];
+    }
+
+    /**
+     * Change the hash index of the upload path, with a lock against the parallel requests
+     * @param callable $change receives the index and returns the changed one
+     */
+    private function updateHashIndex($change)
+    {
+        $handle = @fopen($this->hashIndexPath(), 'c+');
+        if (!$handle) {
+            return;
+        }
+        flock($handle, LOCK_EX);
+        $index = json_decode(stream_get_contents($handle), true);
+        $index = $change(is_array($index) ? $index : []);
+        ftruncate($handle, 0);
+        rewind($handle);
+        fwrite($handle, json_encode($index));
+        fflush($handle);
+        flock($handle, LOCK_UN);
+        fclose($handle);
+    }
+
+    /**
+     * Add a file of the upload path to the hash index. A file written again on the same name replaces its entry.
+     * The md5 must be the one calculated by the server, a client md5 could point the other clients to any file
+     * @param string $filePath the uploaded file
+     * @param string $md5 md5 of the file content
+     */
+    private function indexFile($filePath, $md5)
+    {
+        $name   = basename($filePath);
+        $key    = $md5.'-'.filesize($filePath);
+        $this->updateHashIndex(function ($index) use ($name, $key) {
+            $index = array_diff($index, [$name]);
+            $index[$key] = $name;
+            return $index;
+        });
+    }
+
+    /**
+     * Remove a file name from the hash index
+     * @param string $name file name in the upload path
+     */
+    private function unindexFile($name)
+    {
+        if (!is_file($this->hashIndexPath())) {
+            return;
+        }
+        $this->updateHashIndex(function ($index) use ($name) {
+            return array_diff($index, [$name]);
+        });
+    }
+
+    /**
+     * Returns the number of bytes already written on the temp file, used by the client to resume an upload
+     * @safe check 1: base name of the temp name will not allow ../../ to scale in system a path
+     */
+    public function getOffset()
+    {
+        $tempFile = $this->tempPath.'/'.$this->tempFileName;
+        clearstatcache();
+        if (!empty($this->tempFileName) && is_file($tempFile)) {
+            //parallel uploads leave parts around, keep only the ones that follow the temp file
+            $this->offset = $this->assembleParts($tempFile);
+            $this->message(1, 'Offset found');
+        }
+        $this->message(-1, 'Temp file not found');
+    }
+
     /**
      * Delete a just uploaded file
      * @safe check 1: base name will not allow ../../ to scale in system a path
@@ -321,6 +530,9 @@ class RealUploader {
      */
     public function deleteFile() {
         $msg = @unlink($this->uploadPath.'/'.$this->fileName) ? 'yes' : 'no';
+        if ($msg == 'yes') {
+            $this->unindexFile($this->fileName);
+        }
         $this->message(1, $msg ? 'File deleted' : 'Cannot delete file');
     }
 
@@ -375,19 +587,159 @@ class RealUploader {
         return true;
     }
 
+    /**
+     * Append the parts of a parallel upload to the temp file, ordered by start byte.
+     * Parts that do not follow the temp file (gaps or already written bytes) are deleted, the client re-sends them
+     * @param string $tempFile the temp file path
+     * @return int the size of the temp file after the append
+     */
+    private function assembleParts($tempFile)
+    {
+        $parts = [];
+        foreach (glob($tempFile.'_*') as $part) {
+            $start = substr($part, strlen($tempFile) + 1);
+            if (ctype_digit($start)) {
+                $parts[(int)$start] = $part;
+            }
+        }
+        ksort($parts);
+
+        clearstatcache();
+        $offset = filesize($tempFile);
+        foreach ($parts as $start => $part) {
+            if ($start == $offset) {
+                if (file_put_contents($tempFile, file_get_contents($part), FILE_APPEND) === false) {
+                    $this->message(-1, 'Cannot write on file.');
+                }
+                $offset += filesize($part);
+            }
+            unlink($part);
+        }
+        return $offset;
+    }
+
+    /**
+     * Write a chunk of a parallel upload in its own part file, named by the start byte
+     * @param string $tempFile the temp file path
+     * @param int $currByte start byte of the chunk
+     */
+    private function uploadPart($tempFile, $currByte)
+    {
+        if (empty($this->tempFileName) || !is_file($tempFile)) {
+            $this->message(-1, 'Temp file not found');
+        }
+
+        $ret = move_uploaded_file($_FILES['ax_file_input']['tmp_name'], $tempFile.'_'.(int)$currByte);
+        if (!$ret) {
+            $this->message(-1, 'Cannot write on file.');
+        }
+        $this->message(1, 'Chunk uploaded');
+    }
+
+    /**
+     * Finalize request of a parallel upload, assembles the parts and moves the file to the final destination
+     */
+    public function finalizeUpload()
+    {
+        $this->checkFile();
+
+        $tempFile = $this->tempPath .'/'. $this->tempFileName;
+        if (empty($this->tempFileName) || !is_file($tempFile)) {
+            $this->message(-1, 'Temp file not found');
+        }
+
+        if ($this->assembleParts($tempFile) != $this->fileSize) {
+            $this->message(-1, 'Missing file parts, file size does not match.');
+        }
+        $this->moveUploadedFile($tempFile);
+    }
+
+    /**
+     * Move the complete temp file to the upload path, verify md5 and run the finish actions
+     * @param string $tempFile the temp file path
+     */
+    private function moveUploadedFile($tempFile)
+    {
+        $this->checkFileExists();
+
+        //move the uploaded file from temp folder to the final destination
+        $ret = @rename($tempFile, $this->uploadPath.'/'.$this->fileName);
+
+        if ($ret) {
+            //check file md5 if present
+            $this->verifyMd5($this->uploadPath.'/'.$this->fileName);
+            $this->verifyHashes($this->uploadPath.'/'.$this->fileName);
+
+            //files sent with the md5 can be found by the instant upload of the next clients, a file written without
+            //it leaves the index, as the name could be indexed with another content
+            if (!empty($this->clientMd5)) {
+                $serverMd5 = isset($this->checkSumMsg['serverMd5']) ? $this->checkSumMsg['serverMd5'] :
+                    md5_file($this->uploadPath.'/'.$this->fileName);
+                $this->indexFile($this->uploadPath.'/'.$this->fileName, $serverMd5);
+            } else {
+                $this->unindexFile($this->fileName);
+            }
+            $extra_info = $this->finish();
+            $this->message(1, 'File uploaded', $extra_info);
+        } else {
+            $this->message(-1, 'File move error: '. $tempFile . ' to '.$this->uploadPath.'/'.$this->fileName);
+        }
+    }
+
+    /**
+     * Check the start byte of a sequential chunk against the temp file. A chunk sent again, after a lost response or
+     * a resume, overwrites the bytes already stored from its start byte. A chunk after the end of the temp file is
+     * refused with status 409 and the stored size on offset, the client continues from there
+     * @param string $tempFile the temp file path
+     * @param int $currByte start byte of the chunk
+     */
+    private function checkStartByte($tempFile, $currByte)
+    {
+        clearstatcache();
+        if (empty($this->tempFileName) || !is_file($tempFile)) {
+            $this->message(-1, 'Temp file not found');
+        }
+
+        $stored = filesize($tempFile);
+        if ($currByte > $stored) {
+            $this->offset = $stored;
+            http_response_code(409);
+            $this->message(-1, 'Chunk start byte does not match the temp file size');
+        }
+
+        if ($currByte < $stored) {
+            $handle = fopen($tempFile, 'r+');
+            if ($handle === false || !ftruncate($handle, $currByte)) {
+                $this->message(-1, 'Cannot write on file.');
+            }
+            fclose($handle);
+        }
+    }
+
     /**
      * Main Upload method. Handle file uploads and checks
      */
     private function uploadAjax()
     {
         $currByte   = isset($_REQUEST['ax-start-byte']) ? $_REQUEST['ax-start-byte'] : 0;
-        $fileChunk  = file_get_contents($_FILES['ax_file_input']['tmp_name']);
         $tempFile   = $this->tempPath .'/'. $this->tempFileName;
 
+        //a corrupted chunk is not written, the client sends it again
+        $this->verifyChunkHash();
+
+        //parallel chunks are stored in parts and assembled on the finalize request
+        if (isset($_REQUEST['ax-parallel']) && $currByte > 0) {
+            $this->uploadPart($tempFile, $currByte);
+        }
+
+        $fileChunk  = file_get_contents($_FILES['ax_file_input']['tmp_name']);
+
         //start of the file upload, first chunk
         if ($currByte == 0) {
             $tempFile           = tempnam($this->tempPath, 'axupload');
             $this->tempFileName = basename($tempFile);
+        } else {
+            $this->checkStartByte($tempFile, (int)$currByte);
         }
 
         // some rare times (on very very fast connection), file_put_contents will be unable to write on the file,
@@ -409,26 +761,11 @@ class RealUploader {
         }
 
         //if it is not the last chunk just return success chunk upload
+        clearstatcache();
         if ($this->fileSize > filesize($tempFile)) {
             $this->message(1, 'Chunk uploaded');
         } else {
-            $this->checkFileExists();
-
-            //move the uploaded file from temp folder to the final destination
-            //$this->setUploadPath('/opt/lampp/htdocs/upload/real/blob');
-            $ret = @rename($tempFile, $this->uploadPath.'/'.$this->fileName);
-
-
-
-
-            if ($ret) {
-                //check file md5 if present
-                $this->verifyMd5($this->uploadPath.'/'.$this->fileName);
-                $extra_info = $this->finish();
-                $this->message(1, 'File uploaded', $extra_info);
-            } else {
-                $this->message(-1, 'File move error: '. $tempFile . ' to '.$this->uploadPath.'/'.$this->fileName);
-            }
+            $this->moveUploadedFile($tempFile);
         }
     }
 
@@ -493,7 +830,9 @@ class RealUploader {
             'status'        => $status,
             'info'          => $msg,
             'more'          => $extraInfo,
-            'checkSum'      => $this->checkSumMsg
+            'checkSum'      => $this->checkSumMsg,
+            'chunkHash'     => $this->chunkHashMsg,
+            'offset'        => $this->offset
         ]);
         die();
     }
@@ -508,6 +847,15 @@ $uploader    = new RealUploader();  //create uploader object
 if (isset($_POST['ax-check-file'])) {
     //check file request
     $uploader->doFileExists();
+} elseif (isset($_POST['ax-check-hash'])) {
+    //instant upload request, the file content can be already on the server
+    $uploader->findByHash();
+} elseif (isset($_POST['ax-finalize'])) {
+    //parallel upload end, assemble the parts
+    $uploader->finalizeUpload();
+} elseif (isset($_POST['ax-get-offset'])) {
+    //resume request, returns the confirmed bytes
+    $uploader->getOffset();
 } elseif ( isset($_POST['ax-delete-file']) && $allowDelete) {
     //delete request
     $uploader->deleteFile();